@@ -137,7 +137,8 @@ const MusicXMLIntegrationExample = () => {
     
     setRecordingStatus('playing');
     
-    // Play back using the piano's playNotes method
+    // Play back using the piano's playNotes method; the note functions are called
+    // as each note sounds, so playNotes can start the note right away
     recorderRef.current.playRecording(
       // Note on function
       (note, velocity) => {
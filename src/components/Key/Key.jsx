@@ -12,6 +12,7 @@ import {
   OctaveNumber,
   KeyboardShortcut,
   KeyIndicator,
+  ScaleMarker,
 } from './Key.styles';
 
 /**
@@ -25,6 +26,8 @@ const Key = ({
   isBlack,
   isActive,
   isHighlighted,
+  isAccompaniment,
+  scaleRole,
   keyboardShortcut,
   onMouseDown,
   onMouseUp,
@@ -100,10 +103,14 @@ const Key = ({
   // Debug: Console log the calculated colors - REMOVED FOR PRODUCTION
   const keyColor = isBlack
     ? isActive
-      ? theme?.colors?.activeBlackKey
+      ? isAccompaniment
+        ? theme?.colors?.accompanimentBlackKey
+        : theme?.colors?.activeBlackKey
       : theme?.colors?.blackKey
     : isActive
-      ? theme?.colors?.activeWhiteKey
+      ? isAccompaniment
+        ? theme?.colors?.accompanimentWhiteKey
+        : theme?.colors?.activeWhiteKey
       : theme?.colors?.whiteKey;
 
   // console.log(`Key ${note} render:`, {
@@ -140,6 +147,8 @@ const Key = ({
 
         {keyboardShortcut && <KeyboardShortcut>{keyboardShortcut}</KeyboardShortcut>}
 
+        {scaleRole && <ScaleMarker $isBlack={isBlack} $isTonic={scaleRole === 'tonic'} />}
+
         {isHighlighted && <KeyIndicator $isBlack={isBlack} />}
       </InnerKeyContent>
     </KeyContainer>
@@ -155,6 +164,10 @@ Key.propTypes = {
   isActive: PropTypes.bool,
   /** Whether the key should be highlighted (e.g., for training) */
   isHighlighted: PropTypes.bool,
+  /** Whether the key is active because the practice accompaniment plays it */
+  isAccompaniment: PropTypes.bool,
+  /** Role of the key in the highlighted scale: 'tonic', 'scale' or null when outside it */
+  scaleRole: PropTypes.oneOf(['tonic', 'scale']),
   /** Keyboard key that triggers this piano key (optional) */
   keyboardShortcut: PropTypes.string,
   /** Handler for when key is pressed */
@@ -177,6 +190,8 @@ Key.defaultProps = {
   isBlack: false,
   isActive: false,
   isHighlighted: false,
+  isAccompaniment: false,
+  scaleRole: null,
   keyboardShortcut: null,
   onMouseEnter: null,
   onMouseLeave: null,
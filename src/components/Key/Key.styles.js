@@ -114,6 +114,22 @@ export const KeyboardShortcut = styled.span`
   font-family: ${props => props.theme.typography.fontFamily};
 `;
 
+/**
+ * Marker for keys in a highlighted scale; the tonic is marked larger and darker
+ */
+export const ScaleMarker = styled.div`
+  position: absolute;
+  top: ${props => (props.$isBlack ? '4px' : '8px')};
+  left: 50%;
+  transform: translateX(-50%);
+  width: ${props => (props.$isTonic ? '70%' : '50%')};
+  height: ${props => (props.$isTonic ? '6px' : '4px')};
+  border-radius: 3px;
+  background-color: ${props =>
+    props.$isTonic ? props.theme.colors.scaleTonicKey : props.theme.colors.scaleKey};
+  z-index: 3;
+`;
+
 /**
  * Visual indicator for highlighted keys
  */
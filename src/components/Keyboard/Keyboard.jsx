@@ -1,9 +1,11 @@
 // src/components/Keyboard/Keyboard.jsx
-import { useCallback, useEffect } from 'react';
+import { useCallback, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { ThemeProvider } from 'styled-components';
 
 import { defaultKeyboardMapping } from '../../utils/keyboardMapping';
+import { getMidiNoteNumber } from '../../utils/midiUtils';
+import { getScale } from '../../utils/scales';
 import { defaultTheme } from '../../styles/theme';
 import usePianoNotes from '../../hooks/usePianoNotes';
 import useKeyPositions from '../../hooks/useKeyPositions';
@@ -22,6 +24,8 @@ import OctaveMarkers from './components/OctaveMarkers';
 const Keyboard = ({
   activeNotes,
   highlightedNotes,
+  accompanimentNotes,
+  highlightScale,
   onNoteOn,
   onNoteOff,
   keyRange,
@@ -92,6 +96,36 @@ const Keyboard = ({
     [highlightedNotes]
   );
 
+  // Check if a note is active only because the practice accompaniment plays it
+  const isNoteAccompaniment = useCallback(
+    note => {
+      return (accompanimentNotes || []).includes(note);
+    },
+    [accompanimentNotes]
+  );
+
+  // Pitch classes of the highlighted scale across the whole key range. Keyed on the
+  // scale's contents, so an inline highlightScale object is not looked up on every render
+  const scaleKey = highlightScale
+    ? JSON.stringify({ tonic: highlightScale.tonic, type: highlightScale.type })
+    : null;
+  const scale = useMemo(() => {
+    if (!scaleKey) return null;
+    const { tonic, type } = JSON.parse(scaleKey);
+    return getScale(tonic, type);
+  }, [scaleKey]);
+
+  // Get the role of a note in the highlighted scale: 'tonic', 'scale' or null
+  const getScaleRole = useCallback(
+    note => {
+      if (!scale) return null;
+      const pitchClass = getMidiNoteNumber(note) % 12;
+      if (pitchClass === scale.tonic) return 'tonic';
+      return scale.pitchClasses.includes(pitchClass) ? 'scale' : null;
+    },
+    [scale]
+  );
+
   return (
     <ThemeProvider theme={theme}>
       <KeyboardLayout
@@ -107,6 +141,8 @@ const Keyboard = ({
           blackKeyWidth={blackKeyWidth}
           isNoteActive={isNoteActive}
           isNoteHighlighted={isNoteHighlighted}
+          isNoteAccompaniment={isNoteAccompaniment}
+          getScaleRole={getScaleRole}
           showKeyboardShortcuts={showKeyboardShortcuts}
           keyboardMapping={keyboardMapping}
           handleMouseDown={handleMouseDown}
@@ -133,6 +169,17 @@ Keyboard.propTypes = {
   activeNotes: PropTypes.arrayOf(PropTypes.string),
   /** Array of notes to highlight (e.g., for learning) */
   highlightedNotes: PropTypes.arrayOf(PropTypes.string),
+  /** Array of active notes played by the practice accompaniment (shown in their own color) */
+  accompanimentNotes: PropTypes.arrayOf(PropTypes.string),
+  /** Scale to mark on the keys, e.g. { tonic: 'D', type: 'dorian' }; the tonic is marked differently */
+  highlightScale: PropTypes.shape({
+    tonic: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    type: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.object,
+      PropTypes.arrayOf(PropTypes.number),
+    ]),
+  }),
   /** Called when a note is activated */
   onNoteOn: PropTypes.func.isRequired,
   /** Called when a note is deactivated */
@@ -157,6 +204,8 @@ Keyboard.propTypes = {
 Keyboard.defaultProps = {
   activeNotes: [],
   highlightedNotes: [],
+  accompanimentNotes: [],
+  highlightScale: null,
   keyRange: { startNote: 'C4', endNote: 'B5' }, // Two octaves by default
   showKeyboardShortcuts: true,
   keyboardMapping: defaultKeyboardMapping || {},
@@ -15,6 +15,8 @@ const PianoKeys = ({
   blackKeyWidth,
   isNoteActive,
   isNoteHighlighted,
+  isNoteAccompaniment,
+  getScaleRole,
   showKeyboardShortcuts,
   keyboardMapping,
   handleMouseDown,
@@ -40,6 +42,8 @@ const PianoKeys = ({
             keyboardShortcut={showKeyboardShortcuts ? keyboardMapping[key.note] : null}
             isActive={isNoteActive(key.note)}
             isHighlighted={isNoteHighlighted(key.note)}
+            isAccompaniment={isNoteAccompaniment ? isNoteAccompaniment(key.note) : false}
+            scaleRole={getScaleRole ? getScaleRole(key.note) : null}
             onMouseDown={handleMouseDown}
             onMouseUp={handleMouseUp}
             onMouseEnter={handleMouseEnter}
@@ -68,6 +72,8 @@ const PianoKeys = ({
             keyboardShortcut={showKeyboardShortcuts ? keyboardMapping[key.note] : null}
             isActive={isNoteActive(key.note)}
             isHighlighted={isNoteHighlighted(key.note)}
+            isAccompaniment={isNoteAccompaniment ? isNoteAccompaniment(key.note) : false}
+            scaleRole={getScaleRole ? getScaleRole(key.note) : null}
             onMouseDown={handleMouseDown}
             onMouseUp={handleMouseUp}
             onMouseEnter={handleMouseEnter}
@@ -96,6 +102,8 @@ PianoKeys.propTypes = {
   blackKeyWidth: PropTypes.number.isRequired,
   isNoteActive: PropTypes.func.isRequired,
   isNoteHighlighted: PropTypes.func.isRequired,
+  isNoteAccompaniment: PropTypes.func,
+  getScaleRole: PropTypes.func,
   showKeyboardShortcuts: PropTypes.bool,
   keyboardMapping: PropTypes.object,
   handleMouseDown: PropTypes.func.isRequired,
@@ -1,5 +1,13 @@
 // src/components/Piano/Piano.jsx
-import { useState, useCallback, useEffect, useRef, useImperativeHandle, forwardRef } from 'react';
+import {
+  useState,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useImperativeHandle,
+  forwardRef,
+} from 'react';
 import PropTypes from 'prop-types';
 import { ThemeProvider } from 'styled-components';
 
@@ -12,7 +20,10 @@ import {
   getKeyboardLayout,
   keyRangeToLayoutId,
 } from '../../utils/keyboardLayouts';
+import { createChordFunctions } from '../../utils/chordSymbols';
 import { midiNoteToNoteName, createPlayNotesFunction } from '../../utils/midiNotePlayer';
+import { createPracticeFunction } from '../../utils/practiceSession';
+import { createPlayScoreFunction } from '../../utils/scorePlayer';
 import useAudioEngine from '../../hooks/useAudioEngine';
 import useKeyboardInput from '../../hooks/useKeyboardInput';
 import usePianoNotes from '../../hooks/usePianoNotes';
@@ -46,6 +57,7 @@ const Piano = forwardRef(({
   onKeyboardSizeChange,
   initialKeyboardLayout,
   showKeyboardSizeSelector = true,
+  highlightScale,
 }, ref) => {
   // Track whether audio has been started
   const [audioStarted, setAudioStarted] = useState(false);
@@ -83,7 +95,15 @@ const Piano = forwardRef(({
   });
 
   // Use our custom hooks
-  const { activeNotes, highlightedNotes, activateNote, deactivateNote } = usePianoNotes();
+  const {
+    activeNotes,
+    highlightedNotes,
+    accompanimentNotes,
+    activateNote,
+    deactivateNote,
+    highlightNote,
+    unhighlightNote,
+  } = usePianoNotes();
 
   const {
     isLoaded,
@@ -94,6 +114,7 @@ const Piano = forwardRef(({
     startAudio,
     changeVolume,
     setSustain,
+    setSoftPedal,
   } = useAudioEngine();
 
   // Handle note activation
@@ -154,11 +175,50 @@ const Piano = forwardRef(({
     [handleNoteOn, handleNoteOff, audioStarted, handleStartAudio]
   );
 
+  // Score players and chord helpers read the latest note handlers through this ref
+  const scoreHandlersRef = useRef({});
+  scoreHandlersRef.current = {
+    playNote,
+    stopNote,
+    activateNote,
+    deactivateNote,
+    highlightNote,
+    unhighlightNote,
+    playNotes,
+  };
+
+  /**
+   * Creates a player that plays a MusicXML score on this piano
+   * @param {Object|string|Document} score - Parsed score or MusicXML
+   * @param {Object} options - Score player options (see createScorePlayer)
+   * @returns {Object} Score player
+   */
+  const playScore = useMemo(() => createPlayScoreFunction(scoreHandlersRef), []);
+
+  /**
+   * Creates a practice session that highlights the expected notes on this piano
+   * @param {Object|string|Document} score - Parsed score or MusicXML
+   * @param {Object} options - Practice session options (see createPracticeSession)
+   * @returns {Object} Practice session
+   */
+  const practiceScore = useMemo(() => createPracticeFunction(scoreHandlersRef), []);
+
+  // Show and play chords from chord symbols, e.g. showChord('Dm7')
+  const { showChord, hideChord, playChord } = useMemo(
+    () => createChordFunctions(scoreHandlersRef),
+    []
+  );
+
   // Expose the playNotes method to parent components via ref
   useImperativeHandle(ref, () => ({
     playNotes,
+    playScore,
+    practiceScore,
+    showChord,
+    hideChord,
+    playChord,
     // Add any other methods you want to expose
-  }), [playNotes]);
+  }), [playNotes, playScore, practiceScore, showChord, hideChord, playChord]);
 
   // Setup keyboard input if enabled
   useKeyboardInput({
@@ -199,9 +259,11 @@ const Piano = forwardRef(({
           break;
 
         case 'controlchange':
-          // Handle sustain pedal (CC #64)
+          // Handle sustain pedal (CC #64) and soft pedal (CC #67)
           if (message.controller === 64) {
             setSustain(message.isOn);
+          } else if (message.controller === 67) {
+            setSoftPedal(message.isOn);
           }
           break;
 
@@ -215,7 +277,7 @@ const Piano = forwardRef(({
         onMidiMessage(message);
       }
     },
-    [audioStarted, handleNoteOn, handleNoteOff, setSustain, onMidiMessage]
+    [audioStarted, handleNoteOn, handleNoteOff, setSustain, setSoftPedal, onMidiMessage]
   );
 
   // Handler for MIDI connection changes
@@ -288,6 +350,8 @@ const Piano = forwardRef(({
             <Keyboard
               activeNotes={activeNotes}
               highlightedNotes={highlightedNotes}
+              accompanimentNotes={accompanimentNotes}
+              highlightScale={highlightScale}
               onNoteOn={note => handleNoteOn(note, 'mouse')}
               onNoteOff={note => handleNoteOff(note, 'mouse')}
               keyRange={currentKeyRange}
@@ -334,6 +398,15 @@ Piano.propTypes = {
   initialKeyboardLayout: PropTypes.string,
   /** Whether to show the keyboard size selector */
   showKeyboardSizeSelector: PropTypes.bool,
+  /** Scale to mark on the keys, e.g. { tonic: 'D', type: 'dorian' }; the tonic is marked differently */
+  highlightScale: PropTypes.shape({
+    tonic: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    type: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.object,
+      PropTypes.arrayOf(PropTypes.number),
+    ]),
+  }),
 };
 
 Piano.defaultProps = {
@@ -350,6 +423,7 @@ Piano.defaultProps = {
   onKeyboardSizeChange: null,
   initialKeyboardLayout: null,
   showKeyboardSizeSelector: true,
+  highlightScale: null,
 };
 
 export default Piano;
\ No newline at end of file
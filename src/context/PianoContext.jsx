@@ -1,12 +1,15 @@
 // src/context/PianoContext.jsx
-import { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 
 import useAudioEngine from '../hooks/useAudioEngine';
 import usePianoNotes from '../hooks/usePianoNotes';
 import useMidiConnectionManager from '../hooks/useMidiConnectionManager';
 import { defaultTheme } from '../styles/theme';
+import { createChordFunctions } from '../utils/chordSymbols';
 import { midiNoteToNoteName, createPlayNotesFunction } from '../utils/midiNotePlayer';
+import { createPracticeFunction } from '../utils/practiceSession';
+import { createPlayScoreFunction } from '../utils/scorePlayer';
 
 // Create context
 const PianoContext = createContext();
@@ -71,6 +74,8 @@ export const PianoProvider = ({ children, initialSettings = {} }) => {
         }
       } else if (event.type === 'controlchange' && event.control === 'sustain') {
         audioEngine.setSustain(event.isOn);
+      } else if (event.type === 'controlchange' && event.control === 'soft') {
+        audioEngine.setSoftPedal(event.isOn);
       }
     },
     [audioStarted, pianoNotes, audioEngine]
@@ -139,6 +144,30 @@ export const PianoProvider = ({ children, initialSettings = {} }) => {
     [startAudio, handleNoteOn, handleNoteOff, audioStarted]
   );
 
+  // Score players and chord helpers read the latest note handlers through this ref
+  const scoreHandlersRef = useRef({});
+  scoreHandlersRef.current = {
+    playNote: audioEngine.playNote,
+    stopNote: audioEngine.stopNote,
+    activateNote: pianoNotes.activateNote,
+    deactivateNote: pianoNotes.deactivateNote,
+    highlightNote: pianoNotes.highlightNote,
+    unhighlightNote: pianoNotes.unhighlightNote,
+    playNotes,
+  };
+
+  // Create the playScore function for MusicXML playback
+  const playScore = useMemo(() => createPlayScoreFunction(scoreHandlersRef), []);
+
+  // Create the practiceScore function for guided practice of a score
+  const practiceScore = useMemo(() => createPracticeFunction(scoreHandlersRef), []);
+
+  // Create showChord, hideChord and playChord for chord symbols
+  const { showChord, hideChord, playChord } = useMemo(
+    () => createChordFunctions(scoreHandlersRef),
+    []
+  );
+
   // Combined context value
   const contextValue = {
     // State
@@ -149,6 +178,7 @@ export const PianoProvider = ({ children, initialSettings = {} }) => {
     // From pianoNotes hook
     activeNotes: pianoNotes.activeNotes,
     highlightedNotes: pianoNotes.highlightedNotes,
+    accompanimentNotes: pianoNotes.accompanimentNotes,
 
     // From audioEngine hook
     isAudioLoaded: audioEngine.isLoaded,
@@ -177,6 +207,11 @@ export const PianoProvider = ({ children, initialSettings = {} }) => {
     
     // New programmatic note playing method
     playNotes,
+    playScore,
+    practiceScore,
+    showChord,
+    hideChord,
+    playChord,
     midiNoteToNoteName,
 
     // MIDI methods (updated property names to match new hook)
@@ -2,6 +2,9 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import * as Tone from 'tone';
 
+// Velocity multiplier while the soft pedal (una corda) is down
+const SOFT_PEDAL_VELOCITY = 0.6;
+
 /**
  * Hook for managing the audio synthesis engine
  *
@@ -23,6 +26,7 @@ const useAudioEngine = ({
   const [volume, setVolume] = useState(initialVolume);
   const [reverb, setReverb] = useState(initialReverb);
   const [isSustainActive, setIsSustainActive] = useState(false);
+  const [isSoftPedalActive, setIsSoftPedalActive] = useState(false);
   //const [release, setRelease] = useState(initialRelease);
   const [instrument] = useState(initialInstrument);
 
@@ -179,9 +183,10 @@ const useAudioEngine = ({
    * Play a note
    * @param {string} note - The note to play (e.g., "C4")
    * @param {number} velocity - Note velocity (0-1)
+   * @param {number} time - AudioContext time to start the note at (default: now)
    */
   const playNote = useCallback(
-    (note, velocity = 0.7) => {
+    (note, velocity = 0.7, time = Tone.now()) => {
       if (!synthRef.current || !isLoaded || !isInitialized) return;
 
       try {
@@ -193,21 +198,23 @@ const useAudioEngine = ({
         // Only play if not already active
         if (!activeNotesRef.current.has(normalizedNote)) {
           activeNotesRef.current.add(normalizedNote);
-          synthRef.current.triggerAttack(normalizedNote, Tone.now(), velocity);
+          const noteVelocity = isSoftPedalActive ? velocity * SOFT_PEDAL_VELOCITY : velocity;
+          synthRef.current.triggerAttack(normalizedNote, time, noteVelocity);
         }
       } catch (error) {
         console.error(`Error playing note ${note}:`, error);
       }
     },
-    [isLoaded, isInitialized, normalizeNote]
+    [isLoaded, isInitialized, normalizeNote, isSoftPedalActive]
   );
 
   /**
    * Stop a note
    * @param {string} note - The note to stop
+   * @param {number} time - AudioContext time to release the note at (default: now)
    */
   const stopNote = useCallback(
-    note => {
+    (note, time = Tone.now()) => {
       if (!synthRef.current || !isLoaded || !isInitialized) return;
 
       try {
@@ -217,7 +224,7 @@ const useAudioEngine = ({
         if (!isSustainActive) {
           if (activeNotesRef.current.has(normalizedNote)) {
             activeNotesRef.current.delete(normalizedNote);
-            synthRef.current.triggerRelease(normalizedNote);
+            synthRef.current.triggerRelease(normalizedNote, time);
           }
         }
       } catch (error) {
@@ -256,6 +263,14 @@ const useAudioEngine = ({
     [stopAllNotes]
   );
 
+  /**
+   * Toggle soft pedal; notes played while it is down sound quieter
+   * @param {boolean} active - Whether the soft pedal should be active
+   */
+  const setSoftPedal = useCallback(active => {
+    setIsSoftPedalActive(active);
+  }, []);
+
   /**
    * Change the volume
    * @param {number} newVolume - New volume in dB
@@ -279,6 +294,7 @@ const useAudioEngine = ({
     volume,
     reverb,
     isSustainActive,
+    isSoftPedalActive,
     instrument,
 
     // Methods
@@ -287,6 +303,7 @@ const useAudioEngine = ({
     stopNote,
     stopAllNotes,
     setSustain,
+    setSoftPedal,
     changeVolume,
     changeReverb,
 
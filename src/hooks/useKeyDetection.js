@@ -0,0 +1,130 @@
+// src/hooks/useKeyDetection.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+
+import { createKeyDetector } from '../utils/keyDetection';
+
+/**
+ * Custom hook for detecting the key of the music being played
+ *
+ * Follows the key of the last few seconds of playing (see createKeyDetector).
+ * Notes come from an activeNotes array, such as the one from usePianoNotes or
+ * usePianoContext, or are passed in through the returned handlers, which fit
+ * the Piano's onNoteOn/onNoteOff and MIDI or recorder messages. The window is
+ * re-checked periodically, so the estimate also fades when playing stops.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.activeNotes - Currently sounding notes to follow (optional)
+ * @param {number} options.windowSize - Ms of recent playing the estimate is based on (default: 10000)
+ * @param {number} options.minPitchClasses - Distinct pitch classes needed for an estimate (default: 3)
+ * @param {string|Object} options.profile - Key profile (default: 'krumhansl')
+ * @param {number} options.updateInterval - Ms between checks while no notes arrive; 0 disables (default: 1000)
+ * @returns {Object} Key estimate and methods for passing in notes
+ */
+const useKeyDetection = ({
+  activeNotes = null,
+  windowSize = 10000,
+  minPitchClasses = 3,
+  profile = 'krumhansl',
+  updateInterval = 1000,
+} = {}) => {
+  // Current estimate (see detectKey), or null
+  const [key, setKey] = useState(null);
+
+  const detector = useMemo(
+    () => createKeyDetector({ windowSize, minPitchClasses, profile }),
+    [windowSize, minPitchClasses, profile]
+  );
+
+  // Notes of the last activeNotes, for the detector they were passed to
+  const previousNotesRef = useRef({ detector: null, notes: [] });
+
+  /**
+   * Store a new estimate, keeping the old object when nothing shown changed
+   * @param {Object|null} nextKey - Estimate from the detector
+   */
+  const publish = useCallback(nextKey => {
+    setKey(prev =>
+      prev?.name === nextKey?.name && prev?.confidence === nextKey?.confidence ? prev : nextKey
+    );
+  }, []);
+
+  // Pass notes that started or ended since the last activeNotes
+  useEffect(() => {
+    if (!activeNotes) return;
+    const previous =
+      previousNotesRef.current.detector === detector ? previousNotesRef.current.notes : [];
+    activeNotes
+      .filter(note => !previous.includes(note))
+      .forEach(note => detector.handleNoteOn(note));
+    previous
+      .filter(note => !activeNotes.includes(note))
+      .forEach(note => detector.handleNoteOff(note));
+    previousNotesRef.current = { detector, notes: [...activeNotes] };
+    publish(detector.update());
+  }, [activeNotes, detector, publish]);
+
+  // Re-check as old notes leave the window
+  useEffect(() => {
+    if (!updateInterval) return undefined;
+    const interval = setInterval(() => publish(detector.update()), updateInterval);
+    return () => clearInterval(interval);
+  }, [detector, updateInterval, publish]);
+
+  /**
+   * Handle a played note
+   * @param {string|number} note - Note name or MIDI number
+   */
+  const handleNoteOn = useCallback(
+    note => publish(detector.handleNoteOn(note)),
+    [detector, publish]
+  );
+
+  /**
+   * Handle a released note
+   * @param {string|number} note - Note name or MIDI number
+   */
+  const handleNoteOff = useCallback(
+    note => publish(detector.handleNoteOff(note)),
+    [detector, publish]
+  );
+
+  /**
+   * Handle a MIDI or recorder message as it arrives
+   *
+   * Timed by the clock, not the message timestamp, which may count from another
+   * origin than the periodic checks.
+   *
+   * @param {Object} message - MIDI message
+   */
+  const handleMidiMessage = useCallback(
+    message => {
+      if (message.type === 'noteon' && message.velocity > 0) {
+        publish(detector.handleNoteOn(message));
+      } else if (message.type === 'noteoff' || message.type === 'noteon') {
+        publish(detector.handleNoteOff(message));
+      }
+    },
+    [detector, publish]
+  );
+
+  /**
+   * Forget all notes played so far
+   */
+  const reset = useCallback(() => {
+    detector.reset();
+    previousNotesRef.current = { detector: null, notes: [] };
+    publish(null);
+  }, [detector, publish]);
+
+  return {
+    key,
+    confidence: key ? key.confidence : 0,
+    candidates: key ? key.candidates : [],
+    handleNoteOn,
+    handleNoteOff,
+    handleMidiMessage,
+    reset,
+  };
+};
+
+export default useKeyDetection;
@@ -1,6 +1,12 @@
 // src/hooks/useMidiConnectionManager.js
 import { useState, useEffect, useCallback, useRef } from 'react';
 
+import {
+  createControlChangeMessage,
+  createPitchBendMessage,
+  createChannelAftertouchMessage,
+  createKeyAftertouchMessage,
+} from '../utils/midiControllers';
 import { formatMidiNote, getMIDIErrorCode } from '../utils/midiUtils';
 import {
   saveMidiDevicePreference,
@@ -118,6 +124,7 @@ const useMidiConnectionManager = ({
             note: formattedNote,
             velocity: e.velocity,
             rawNote: e.note,
+            channel: e.message.channel,
             source: input.name,
             timestamp: Date.now(),
           });
@@ -133,32 +140,47 @@ const useMidiConnectionManager = ({
           onMidiMessage({
             type: 'noteoff',
             note: formattedNote,
+            release: e.note.release,
             rawNote: e.note,
+            channel: e.message.channel,
             source: input.name,
             timestamp: Date.now(),
           });
         }
       });
 
-      // Add control change listeners (e.g., sustain pedal)
-      input.addListener('controlchange', e => {
-        // CC #64 is the sustain pedal
-        if (e.controller.number === 64) {
-          const isOn = e.value >= 64;
-          logDebug(`Sustain pedal: ${isOn ? 'on' : 'off'} (value: ${e.value})`);
-
-          if (onMidiMessage) {
-            onMidiMessage({
-              type: 'controlchange',
-              controller: e.controller.number,
-              value: e.value,
-              control: 'sustain',
-              isOn,
-              source: input.name,
-              timestamp: Date.now(),
-            });
-          }
+      // Forward controller, pitch bend and aftertouch messages with their raw values
+      const forwardControlMessage = (message, e) => {
+        if (onMidiMessage) {
+          onMidiMessage({
+            ...message,
+            channel: e.message.channel,
+            source: input.name,
+            timestamp: Date.now(),
+          });
         }
+      };
+
+      // Control change handler (pedals, mod wheel and other controllers)
+      input.addListener('controlchange', e => {
+        const message = createControlChangeMessage(e.controller.number, e.rawValue);
+        logDebug(`Control change: ${message.control} (value: ${e.rawValue})`);
+        forwardControlMessage(message, e);
+      });
+
+      // Pitch bend handler
+      input.addListener('pitchbend', e => {
+        forwardControlMessage(createPitchBendMessage(e.rawValue), e);
+      });
+
+      // Channel pressure handler
+      input.addListener('channelaftertouch', e => {
+        forwardControlMessage(createChannelAftertouchMessage(e.rawValue), e);
+      });
+
+      // Polyphonic key pressure handler
+      input.addListener('keyaftertouch', e => {
+        forwardControlMessage(createKeyAftertouchMessage(e.note.number, e.rawValue), e);
       });
     },
     [onMidiMessage, logDebug]
@@ -178,6 +200,9 @@ const useMidiConnectionManager = ({
       input.removeListener('noteon');
       input.removeListener('noteoff');
       input.removeListener('controlchange');
+      input.removeListener('pitchbend');
+      input.removeListener('channelaftertouch');
+      input.removeListener('keyaftertouch');
     },
     [logDebug]
   );
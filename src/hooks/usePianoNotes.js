@@ -28,12 +28,13 @@ const usePianoNotes = (
     mouse: new Set(), // Mouse/touch input
     midi: new Set(), // MIDI device input
     program: new Set(), // Programmatically activated notes
+    accompaniment: new Set(), // Notes played for the student during practice
   });
 
   /**
    * Activate a note from a specific source
    * @param {string} note - The note to activate (e.g., "C4")
-   * @param {string} source - The input source (keyboard, mouse, midi, program)
+   * @param {string} source - The input source (keyboard, mouse, midi, program, accompaniment)
    */
   const activateNote = useCallback((note, source = 'program') => {
     if (!note) return;
@@ -114,6 +115,7 @@ const usePianoNotes = (
       mouse: new Set(),
       midi: new Set(),
       program: new Set(),
+      accompaniment: new Set(),
     });
   }, []);
 
@@ -155,6 +157,17 @@ const usePianoNotes = (
     setHighlightedNotes([]);
   }, []);
 
+  // Notes sounding only as accompaniment (not also pressed by the player)
+  const accompanimentNotes = useMemo(
+    () =>
+      Array.from(notesBySource.accompaniment).filter(note =>
+        Object.entries(notesBySource).every(
+          ([source, sourceNotes]) => source === 'accompaniment' || !sourceNotes.has(note)
+        )
+      ),
+    [notesBySource]
+  );
+
   // Get start and end notes with fallbacks for keyboard generation
   const startNote = keyRange?.startNote || 'C4';
   const endNote = keyRange?.endNote || 'B5';
@@ -170,6 +183,7 @@ const usePianoNotes = (
     // State for Piano.jsx compatibility
     activeNotes,
     highlightedNotes,
+    accompanimentNotes,
     notesBySource,
 
     // Methods for Piano.jsx compatibility
@@ -20,6 +20,7 @@ export { default as PianoContext, PianoProvider, usePianoContext } from './conte
 export { default as useAudioEngine } from './hooks/useAudioEngine';
 export { default as useKeyboardInput } from './hooks/useKeyboardInput';
 export { default as usePianoNotes } from './hooks/usePianoNotes';
+export { default as useKeyDetection } from './hooks/useKeyDetection';
 export {
   default as useMidiConnectionManager,
   CONNECTION_STATUS,
@@ -69,6 +70,9 @@ export {
   clearMidiStorage,
 } from './utils/midiStorageManager';
 
+// Recording Library
+export { createRecordingLibrary } from './utils/recordingLibrary';
+
 // Basic styles - only export the default theme and global styles
 export { default as defaultTheme } from './styles/theme';
 export { default as GlobalStyles } from './styles/GlobalStyles';
@@ -81,6 +85,46 @@ export {
   createNoteMatchingListener,
   createTimingAnalyzer
 } from './utils/NoteRecognitionModule';
+export { createChordMatcher } from './utils/chordMatcher';
+export {
+  getChordCandidates,
+  identifyChord,
+  getPitchClassSet,
+  CHORD_QUALITIES,
+  PITCH_CLASS_NAMES
+} from './utils/chordRecognition';
+export {
+  parseChordSymbol,
+  chordSymbolToNotes,
+  CHORD_VOICINGS
+} from './utils/chordSymbols';
+export {
+  getScale,
+  getScaleTypes,
+  getScaleDegree,
+  getScaleNotesInRange,
+  registerScale
+} from './utils/scales';
+export {
+  detectKey,
+  createKeyDetector,
+  getKeyCandidates,
+  getPitchClassWeights,
+  KEY_PROFILES
+} from './utils/keyDetection';
+export {
+  analyzeHarmony,
+  getRomanNumeral,
+  exportHarmonyAnalysis,
+  HARMONY_ANALYSIS_FORMAT,
+  HARMONY_ANALYSIS_VERSION
+} from './utils/harmonyAnalysis';
+export {
+  createRhythmAnalyzer,
+  analyzeRecordingRhythm,
+  summarizeRhythm,
+  getSwingRatio
+} from './utils/rhythmAnalyzer';
 
 // MusicXML Utilities
 export {
@@ -92,6 +136,78 @@ export {
   compareMidiWithExpected,
   createSimpleMusicXML
 } from './utils/MusicXMLUtils';
+export { writeMusicXML } from './utils/musicXmlWriter';
+export { parseMusicXML } from './utils/musicXmlParser';
+export {
+  isMxlData,
+  extractMusicXMLFromMxl,
+  loadMusicXML,
+  extractNotesFromMxl,
+  extractMeasuresFromMxl,
+  parseMxl
+} from './utils/mxlReader';
+export { createScorePlayer } from './utils/scorePlayer';
+export {
+  createPracticeSession,
+  PRACTICE_MODE,
+  PRACTICE_STATE
+} from './utils/practiceSession';
+export { PRACTICE_HANDS } from './utils/practiceSteps';
+export {
+  scorePerformance,
+  exportPerformanceReport,
+  getGrade,
+  PERFORMANCE_REPORT_FORMAT,
+  PERFORMANCE_REPORT_VERSION
+} from './utils/performanceScoring';
+export { alignPerformances } from './utils/performanceAlignment';
 
 // MIDI Recorder Utility
-export { createMidiRecorder } from './utils/MidiRecorder';
\ No newline at end of file
+export { createMidiRecorder } from './utils/MidiRecorder';
+
+// Recording Note Model
+export {
+  eventsToNotes,
+  notesToEvents,
+  trimNotes,
+  cutNotes,
+  transposeNotes,
+  scaleVelocities,
+  compressVelocities,
+  deleteNote,
+  moveNote,
+  mergeNotes,
+  replaceNotesInRange,
+} from './utils/recordingNotes';
+
+// Recording Quantizer
+export { quantizeEvents, getGridDuration, QUANTIZE_GRIDS } from './utils/recordingQuantizer';
+
+// Recording Document Format
+export {
+  createRecordingDocument,
+  migrateRecordingDocument,
+  validateRecordingDocument,
+  RECORDING_FORMAT,
+  RECORDING_SCHEMA_VERSION,
+} from './utils/recordingDocument';
+
+// MIDI Controller Messages
+export {
+  CONTROLLERS,
+  getControllerName,
+  createControlChangeMessage,
+  createPitchBendMessage,
+  createChannelAftertouchMessage,
+  createKeyAftertouchMessage,
+} from './utils/midiControllers';
+
+// Capture Buffer
+export { createCaptureBuffer } from './utils/captureBuffer';
+
+// Playback Scheduler
+export { createPlaybackScheduler, PLAYBACK_STATE } from './utils/playbackScheduler';
+
+// MIDI File Utilities
+export { parseMidiFile } from './utils/midiFileReader';
+export { writeMidiFile } from './utils/midiFileWriter';
\ No newline at end of file
@@ -11,6 +11,10 @@ export const defaultTheme = {
     activeWhiteKey: '#E0E8FF',
     activeBlackKey: '#555555',
     highlightKey: '#4CAF50', // For highlighting specific keys (e.g., training)
+    accompanimentWhiteKey: '#FFE0B2', // Keys played by the accompaniment during practice
+    accompanimentBlackKey: '#8D6E63',
+    scaleKey: '#64B5F6', // Marker on the keys of a highlighted scale
+    scaleTonicKey: '#1565C0', // Marker on the tonic of a highlighted scale
 
     // Borders and shadows
     keyBorder: '#DDDDDD',
@@ -1,5 +1,49 @@
 // src/utils/MidiRecorder.js
-import { getMidiNoteName, getMidiNoteNumber } from './midiUtils';
+import * as Tone from 'tone';
+
+import { getMidiNoteName } from './midiUtils';
+import { parseMidiFile } from './midiFileReader';
+import { writeMidiFile } from './midiFileWriter';
+import { writeMusicXML } from './musicXmlWriter';
+import { createPlaybackScheduler, PLAYBACK_STATE } from './playbackScheduler';
+import { createCaptureBuffer } from './captureBuffer';
+import {
+  createControlChangeMessage,
+  createPitchBendMessage,
+  createChannelAftertouchMessage,
+  createKeyAftertouchMessage,
+  isControlMessage,
+  getLatestControlMessages,
+  getControlResetMessages
+} from './midiControllers';
+import {
+  createRecordingDocument,
+  migrateRecordingDocument,
+  validateRecordingDocument,
+  documentToEvents
+} from './recordingDocument';
+import { quantizeEvents } from './recordingQuantizer';
+import {
+  eventsToNotes,
+  notesToEvents,
+  isNoteOnEvent,
+  isNoteOffEvent,
+  trimNotes,
+  cutNotes,
+  trimEvents,
+  cutEvents,
+  transposeNotes,
+  scaleVelocities,
+  compressVelocities,
+  deleteNote,
+  moveNote,
+  mergeNotes,
+  replaceNotesInRange,
+  replaceEventsInRange
+} from './recordingNotes';
+
+// Maximum number of edits kept in the undo history
+const MAX_UNDO_STEPS = 50;
 
 /**
  * MIDI Recorder Utility
@@ -20,14 +64,186 @@ export const createMidiRecorder = () => {
   let startTime = null;
   let stopTime = null;
   
+  // Unquantized events, kept while a quantization is applied
+  let originalEvents = null;
+  
+  // Edit history snapshots for undo/redo
+  let undoStack = [];
+  let redoStack = [];
+  
+  // Takes recorded in this session. The current take's data lives in the
+  // variables above and is written back to its entry when switching takes.
+  let takes = [];
+  let currentTakeId = null;
+  let nextTakeNumber = 1;
+  let nextMarkerNumber = 1;
+  
+  // Layer being recorded on top of the current take (overdub or punch-in)
+  let layer = null;
+  
+  // Rolling buffer of recent playing, kept even when not recording
+  let captureBuffer = null;
+  
+  /**
+   * Write the current take's state back to its entry in the take list
+   */
+  const saveCurrentTake = () => {
+    const take = takes.find(t => t.id === currentTakeId);
+    if (take) {
+      Object.assign(take, { events, originalEvents, startTime, stopTime, undoStack, redoStack });
+    }
+  };
+  
+  /**
+   * Get the take list entry of the current take
+   * @returns {Object|null} Current take
+   */
+  const getCurrentTake = () => takes.find(t => t.id === currentTakeId) || null;
+  
+  /**
+   * Make a take the current one
+   * @param {Object} take - Entry from the take list
+   */
+  const loadTake = (take) => {
+    currentTakeId = take.id;
+    ({ events, originalEvents, startTime, stopTime, undoStack, redoStack } = take);
+  };
+  
+  /**
+   * Start a new, empty take and make it the current one
+   * @param {string} name - Take name (default: "Take N")
+   */
+  const beginTake = (name = null) => {
+    saveCurrentTake();
+    
+    const take = {
+      id: `take-${nextTakeNumber}`,
+      name: name || `Take ${nextTakeNumber}`,
+      events: [],
+      originalEvents: null,
+      startTime: Date.now(),
+      stopTime: null,
+      undoStack: [],
+      redoStack: [],
+      // Document metadata (tempo, instrument, createdAt), markers and regions
+      metadata: { createdAt: new Date().toISOString() },
+      markers: [],
+      regions: []
+    };
+    nextTakeNumber++;
+    takes.push(take);
+    loadTake(take);
+  };
+  
   /**
    * Start recording MIDI events
+   * 
+   * By default every recording starts a new take; earlier takes stay available
+   * through getTakes and selectTake. The 'overdub' and 'punch' modes record a new
+   * layer on top of the current take instead, optionally while it plays back; a
+   * punch-in plays the take without the notes it is replacing.
+   * 
+   * @param {Object} options - Recording options
+   * @param {string} options.mode - 'new', 'overdub' or 'punch' (default: 'new')
+   * @param {string} options.name - Name of the new take (mode 'new')
+   * @param {Function} options.noteOn - Note-on function for playing the current take while recording a layer
+   * @param {Function} options.noteOff - Note-off function for playing the current take while recording a layer
+   * @param {Function} options.onControl - Controller function for playing the current take (see playRecording)
+   * @param {number} options.startPosition - Position in ms where an overdub starts (default: 0)
+   * @param {number} options.punchIn - Start of the replaced window in ms (mode 'punch')
+   * @param {number} options.punchOut - End of the replaced window in ms (mode 'punch')
+   * @param {number} options.preRoll - Ms of playback before the punch-in point (default: 0)
+   * @returns {Object|null} Playback control when the current take is played along, otherwise null
    */
-  const startRecording = () => {
-    events = [];
+  const startRecording = (options = {}) => {
+    const {
+      mode = 'new',
+      name = null,
+      noteOn = null,
+      noteOff = null,
+      onControl = null,
+      startPosition = 0,
+      punchIn = 0,
+      punchOut = Infinity,
+      preRoll = 0
+    } = options;
+    
+    if (isRecording) stopRecording();
+    
+    if (mode === 'new' || currentTakeId === null) {
+      beginTake(name);
+      isRecording = true;
+      startTime = Date.now();
+      return null;
+    }
+    
+    const layerStart = mode === 'punch' ? Math.max(0, punchIn - preRoll) : startPosition;
+    const playAlong = Boolean(noteOn || noteOff);
+    // While the take plays along, the layer is timed on the audio clock like the
+    // playback, so the new notes line up with what was heard
+    const clock = playAlong ? () => Tone.getContext().immediate() * 1000 : Date.now;
+    layer = {
+      mode,
+      events: [],
+      startPosition: layerStart,
+      clock,
+      startedAt: clock(),
+      punchIn,
+      punchOut,
+      playback: null
+    };
     isRecording = true;
-    startTime = Date.now();
-    stopTime = null;
+    
+    if (playAlong) {
+      // A punch-in plays the take as it will sound afterwards, silent inside the window
+      const takeEvents = mode === 'punch' ? getEventsOutsideRange(punchIn, punchOut) : events;
+      layer.playback = playEvents(takeEvents, noteOn, noteOff, null, {
+        startPosition: layerStart,
+        onControl
+      });
+    }
+    
+    return layer.playback;
+  };
+  
+  /**
+   * Get the current take's events without the notes and controls inside a time window
+   * @param {number} start - Window start in ms
+   * @param {number} end - Window end in ms
+   * @returns {Array} Events; notes running into the window are cut off at its start
+   */
+  const getEventsOutsideRange = (start, end) => {
+    const otherEvents = events.filter(event => !isNoteOnEvent(event) && !isNoteOffEvent(event));
+    return notesToEvents(replaceNotesInRange(eventsToNotes(events), [], start, end), {
+      otherEvents: replaceEventsInRange(otherEvents, [], start, end),
+      startTime
+    });
+  };
+  
+  /**
+   * Combine a finished overdub or punch-in layer with the current take
+   * @param {Object} finishedLayer - Layer recorded on top of the take
+   */
+  const mergeLayer = (finishedLayer) => {
+    const layerNotes = eventsToNotes(finishedLayer.events);
+    const layerOtherEvents = finishedLayer.events.filter(
+      event => !isNoteOnEvent(event) && !isNoteOffEvent(event)
+    );
+    const { punchIn, punchOut } = finishedLayer;
+    
+    if (finishedLayer.mode === 'punch') {
+      applyEdit(
+        notes => replaceNotesInRange(notes, layerNotes, punchIn, punchOut),
+        otherEvents => replaceEventsInRange(otherEvents, layerOtherEvents, punchIn, punchOut)
+      );
+    } else {
+      applyEdit(
+        notes => mergeNotes(notes, layerNotes),
+        otherEvents => [...otherEvents, ...layerOtherEvents]
+      );
+    }
+    
+    stopTime = Math.max(stopTime || startTime, startTime + getDuration());
   };
   
   /**
@@ -35,6 +251,15 @@ export const createMidiRecorder = () => {
    */
   const stopRecording = () => {
     isRecording = false;
+    
+    if (layer) {
+      const finishedLayer = layer;
+      layer = null;
+      if (finishedLayer.playback) finishedLayer.playback.stop();
+      mergeLayer(finishedLayer);
+      return;
+    }
+    
     stopTime = Date.now();
   };
   
@@ -43,8 +268,19 @@ export const createMidiRecorder = () => {
    * @param {Object} message - MIDI message object
    */
   const processMidiMessage = (message) => {
+    if (captureBuffer) captureBuffer.add(message);
+    
     if (!isRecording) return;
     
+    if (layer) {
+      // Layers are timed against the take's timeline
+      layer.events.push({
+        ...message,
+        recordTime: Math.round(layer.startPosition + layer.clock() - layer.startedAt)
+      });
+      return;
+    }
+    
     // Calculate relative time from recording start
     const relativeTime = Date.now() - startTime;
     
@@ -65,180 +301,242 @@ export const createMidiRecorder = () => {
   
   /**
    * Play back the recording using the provided note player functions
-   * @param {Function} noteOnFunction - Function to call for note-on events
-   * @param {Function} noteOffFunction - Function to call for note-off events
+   * 
+   * Playback runs on the audio clock through a lookahead scheduler, so it needs a
+   * running AudioContext; a suspended context is started, which browsers only
+   * allow from a user gesture such as the click that starts playback.
+   * 
+   * The note and control functions are called when the event sounds, with its
+   * AudioContext time as their last argument. With options.scheduleAhead they are
+   * called up to the scheduler's lookahead early instead, with the future time, so
+   * an instrument that honours the time plays sample-accurately
+   * (e.g. sampler.triggerAttack(note, time, velocity)).
+   * 
+   * Controller, pitch bend and aftertouch events go to options.onControl. When
+   * playback starts or jumps into the middle of the recording, the controls are
+   * first set to where they were at that point (e.g. sustain pedal down), and
+   * pedals and pitch bend are returned to rest whenever playback is cut short.
+   * 
+   * @param {Function} noteOnFunction - Called as noteOnFunction(note, velocity, time)
+   * @param {Function} noteOffFunction - Called as noteOffFunction(note, time)
    * @param {Function} onFinish - Callback when playback is complete
-   * @returns {Object} Control object with stop method
+   * @param {Object} options - Playback options
+   * @param {number} options.playbackRate - Speed multiplier (default: 1)
+   * @param {number} options.startPosition - Position in ms to start from (default: 0)
+   * @param {Function} options.onProgress - Called with the current position in ms
+   * @param {Function} options.onControl - Called as onControl(message, time) for controller, pitch bend and aftertouch messages
+   * @param {boolean} options.scheduleAhead - Call the note and control functions ahead of time (default: false)
+   * @returns {Object} Control object with stop, pause, resume, seek and setPlaybackRate methods
    */
-  const playRecording = (noteOnFunction, noteOffFunction, onFinish = null) => {
-    if (events.length === 0) {
+  const playRecording = (noteOnFunction, noteOffFunction, onFinish = null, options = {}) =>
+    playEvents(events, noteOnFunction, noteOffFunction, onFinish, options);
+  
+  /**
+   * Play back a list of recorder events (see playRecording)
+   * @param {Array} playedEvents - Events to play
+   * @param {Function} noteOnFunction - Called as noteOnFunction(note, velocity, time)
+   * @param {Function} noteOffFunction - Called as noteOffFunction(note, time)
+   * @param {Function} onFinish - Callback when playback is complete
+   * @param {Object} options - Playback options of playRecording
+   * @returns {Object} Playback control object
+   */
+  const playEvents = (playedEvents, noteOnFunction, noteOffFunction, onFinish = null, options = {}) => {
+    const {
+      playbackRate = 1,
+      startPosition = 0,
+      onProgress = null,
+      onControl = null,
+      scheduleAhead = false
+    } = options;
+    
+    if (playedEvents.length === 0) {
       if (onFinish) onFinish();
-      return { stop: () => {} };
+      return {
+        stop: () => {},
+        pause: () => {},
+        resume: () => {},
+        seek: () => {},
+        setPlaybackRate: () => {},
+        getPosition: () => 0,
+        getState: () => PLAYBACK_STATE.STOPPED
+      };
     }
     
-    const timeouts = [];
-    let isStopped = false;
+    // Notes currently sounding, with the audio time of their note-on
+    const heldNotes = new Map();
+    
+    // Events are delivered when they sound by timers on the audio clock, which
+    // keep running in background tabs; timers pending at an interrupt are cancelled
+    const pendingTimers = new Set();
+    
+    const deliver = (callback, time) => {
+      if (scheduleAhead) {
+        callback();
+        return;
+      }
+      const context = Tone.getContext();
+      const timer = context.setTimeout(() => {
+        pendingTimers.delete(timer);
+        callback();
+      }, Math.max(0, time - context.immediate()));
+      pendingTimers.add(timer);
+    };
+    
+    // Control messages sent since playback (re)started
+    let sentControls = [];
+    
+    const sendControl = (message, time) => {
+      sentControls.push(message);
+      if (onControl) onControl(message, time);
+    };
+    
+    // Bring the controls to their state at a position before playing from it
+    const chaseControls = (position) => {
+      const time = Tone.getContext().immediate();
+      getLatestControlMessages(playedEvents.filter(event => event.recordTime < position))
+        .forEach(message => sendControl(message, time));
+    };
+    
+    const resetControls = (audioTime) => {
+      const resets = getControlResetMessages(sentControls);
+      sentControls = [];
+      if (onControl) resets.forEach(message => onControl(message, audioTime));
+    };
+    
+    // Release everything that is still sounding when playback is cut short
+    const releaseHeldNotes = (audioTime) => {
+      pendingTimers.forEach(timer => Tone.getContext().clearTimeout(timer));
+      pendingTimers.clear();
+      heldNotes.forEach((noteOnTime, note) => {
+        if (noteOffFunction) noteOffFunction(note, Math.max(audioTime, noteOnTime));
+      });
+      heldNotes.clear();
+      resetControls(audioTime);
+    };
     
-    // Schedule each event with setTimeout
-    events.forEach(event => {
+    const handleEvent = (event, time) => {
       if (event.type === 'noteon' && event.velocity > 0) {
-        const timeout = setTimeout(() => {
-          if (!isStopped && noteOnFunction) {
-            noteOnFunction(event.note, event.velocity);
-          }
-        }, event.recordTime);
-        timeouts.push(timeout);
+        deliver(() => {
+          heldNotes.set(event.note, time);
+          if (noteOnFunction) noteOnFunction(event.note, event.velocity, time);
+        }, time);
       } 
       else if (event.type === 'noteoff' || (event.type === 'noteon' && event.velocity === 0)) {
-        const timeout = setTimeout(() => {
-          if (!isStopped && noteOffFunction) {
-            noteOffFunction(event.note);
-          }
-        }, event.recordTime);
-        timeouts.push(timeout);
+        deliver(() => {
+          heldNotes.delete(event.note);
+          if (noteOffFunction) noteOffFunction(event.note, time);
+        }, time);
       }
-    });
+      else if (isControlMessage(event)) {
+        // Strip the scheduler's time field so the message looks as it was recorded
+        const message = { ...event };
+        delete message.time;
+        deliver(() => sendControl(message, time), time);
+      }
+    };
     
-    // Set timeout for completion
-    const endTime = events.length > 0 
-      ? Math.max(...events.map(event => event.recordTime))
-      : 0;
-      
-    const completionTimeout = setTimeout(() => {
-      if (!isStopped && onFinish) {
-        onFinish();
+    const scheduler = createPlaybackScheduler({
+      events: playedEvents.map(event => ({ ...event, time: event.recordTime })),
+      duration: Math.max(...playedEvents.map(event => event.recordTime)),
+      playbackRate,
+      onEvent: handleEvent,
+      onProgress,
+      onInterrupt: releaseHeldNotes,
+      onFinish: () => {
+        // After the last events have been delivered; a note whose note-off was
+        // missed is released here
+        deliver(() => {
+          releaseHeldNotes(Tone.getContext().immediate());
+          if (onFinish) onFinish();
+        }, Tone.getContext().immediate());
       }
-    }, endTime + 100); // Add a small buffer
+    });
     
-    timeouts.push(completionTimeout);
+    chaseControls(startPosition);
+    scheduler.play(startPosition);
     
     // Return control object
     return {
-      stop: () => {
-        isStopped = true;
-        timeouts.forEach(timeout => clearTimeout(timeout));
-      }
+      stop: scheduler.stop,
+      pause: scheduler.pause,
+      resume: () => {
+        if (scheduler.getState() === PLAYBACK_STATE.PLAYING) return;
+        chaseControls(scheduler.getPosition());
+        scheduler.resume();
+      },
+      seek: (position) => {
+        if (scheduler.getState() !== PLAYBACK_STATE.PLAYING) {
+          scheduler.seek(position);
+          return;
+        }
+        // Pause first so the controls are reset before they are chased
+        scheduler.pause();
+        chaseControls(position);
+        scheduler.play(position);
+      },
+      setPlaybackRate: scheduler.setPlaybackRate,
+      getPosition: scheduler.getPosition,
+      getState: scheduler.getState
     };
   };
   
   /**
    * Export the recording to MIDI file format data
+   * @param {Object} options - Export options (see writeMidiFile)
+   * @param {number} options.tempo - Tempo in BPM (default: 120)
+   * @param {Array<number>} options.timeSignature - Time signature as [numerator, denominator] (default: [4, 4])
+   * @param {string|Object} options.keySignature - Key name ("G", "Bb", "F#m") or { accidentals, isMinor }
+   * @param {number} options.ppq - Ticks per quarter note (default: 480)
+   * @param {number} options.channel - MIDI channel 1-16 to write all events on
+   * @param {string} options.trackName - Name of the performance track
    * @returns {Uint8Array} MIDI file data
    */
-  const exportToMIDI = () => {
-    // This is a simplified MIDI file creation
-    // For a complete implementation, consider using a library like midi-writer-js
-    
-    // Create a simple MIDI file with one track
-    const headerChunk = new Uint8Array([
-      0x4D, 0x54, 0x68, 0x64, // MThd
-      0x00, 0x00, 0x00, 0x06, // Chunk size (always 6)
-      0x00, 0x01, // Format type (1 = multiple tracks)
-      0x00, 0x02, // Number of tracks (2 - one for tempo, one for notes)
-      0x01, 0xE0  // Division (480 ticks per quarter note)
-    ]);
-    
-    // Track 1 - Tempo track
-    const track1Events = new Uint8Array([
-      // Track header
-      0x4D, 0x54, 0x72, 0x6B, // MTrk
-      0x00, 0x00, 0x00, 0x14, // Chunk size (20 bytes)
-      
-      // Set tempo (120 BPM = 500,000 microseconds per quarter note)
-      0x00, 0xFF, 0x51, 0x03, // Delta time, meta event, tempo, length
-      0x07, 0xA1, 0x20,       // Tempo value
-      
-      // End of track
-      0x00, 0xFF, 0x2F, 0x00  // Delta time, meta event, end of track, length
-    ]);
-    
-    // Create track 2 events (note events)
-    let track2EventArray = [];
-    
-    // Convert our events to MIDI file events
-    if (events.length > 0) {
-      // Sort events by time
-      const sortedEvents = [...events].sort((a, b) => a.recordTime - b.recordTime);
-      
-      // Previous event time for delta calculation
-      let prevTime = 0;
-      
-      sortedEvents.forEach(event => {
-        // Calculate delta time (in MIDI ticks)
-        const eventTimeInTicks = Math.round(event.recordTime * 480 / 500); // Convert ms to ticks
-        const delta = eventTimeInTicks - prevTime;
-        prevTime = eventTimeInTicks;
-        
-        // Variable-length encoding for delta time
-        const deltaBytes = encodeVariableLength(delta);
-        track2EventArray.push(...deltaBytes);
-        
-        if (event.type === 'noteon' && event.velocity > 0) {
-          // Note On event
-          const noteNum = getMidiNoteNumber(event.note);
-          track2EventArray.push(
-            0x90, // Note On, channel 1
-            noteNum, // Note number
-            Math.round(event.velocity * 127) // Velocity (0-127)
-          );
-        } 
-        else if (event.type === 'noteoff' || (event.type === 'noteon' && event.velocity === 0)) {
-          // Note Off event
-          const noteNum = getMidiNoteNumber(event.note);
-          track2EventArray.push(
-            0x80, // Note Off, channel 1
-            noteNum, // Note number
-            0x40  // Release velocity (default 64)
-          );
-        }
-      });
-    }
-    
-    // Add End of Track event
-    track2EventArray.push(0x00, 0xFF, 0x2F, 0x00);
-    
-    // Create track 2 with proper header
-    const track2Events = new Uint8Array([
-      // Track header
-      0x4D, 0x54, 0x72, 0x6B, // MTrk
-      // Chunk size (4 bytes)
-      ...(encodeInt32(track2EventArray.length)),
-      // Track events
-      ...track2EventArray
-    ]);
-    
-    // Combine all chunks
-    const midiFile = new Uint8Array([
-      ...headerChunk,
-      ...track1Events,
-      ...track2Events
-    ]);
-    
-    return midiFile;
+  const exportToMIDI = (options = {}) => {
+    return writeMidiFile(events, options);
   };
   
   /**
-   * Export the recording to a JSON format
+   * Export the recording as a MusicXML score (see writeMusicXML)
+   * @param {Object} options - Export options
+   * @param {number} options.tempo - Tempo in BPM (default: the take's tempo, or 120)
+   * @param {Array<number>} options.timeSignature - Time signature as [numerator, denominator] (default: [4, 4])
+   * @param {string|Object} options.keySignature - Key name ("G", "Bb", "F#m") or { accidentals, isMinor }
+   * @param {string} options.grid - Shortest written value: '1/4', '1/8', '1/16' or '1/32' (default: '1/16')
+   * @param {number} options.splitPoint - Lowest MIDI note on the treble staff (default: 60)
+   * @param {string} options.title - Work title (default: the take name)
+   * @returns {string} MusicXML document
+   */
+  const exportToMusicXML = (options = {}) => {
+    const take = getCurrentTake();
+    return writeMusicXML(events, {
+      tempo: take?.metadata.tempo || 120,
+      title: take?.name,
+      ...options
+    });
+  };
+  
+  /**
+   * Export the recording as a versioned recording document (see recordingDocument)
    * @returns {string} JSON string of the recording
    */
   const exportToJSON = () => {
-    const recordingData = {
+    const take = getCurrentTake();
+    const recordingData = createRecordingDocument(events, {
+      metadata: take ? { ...take.metadata, title: take.name } : {},
+      markers: take ? take.markers : [],
+      regions: take ? take.regions : [],
       startTime,
-      stopTime,
-      duration: stopTime ? stopTime - startTime : null,
-      events: events.map(event => ({
-        type: event.type,
-        note: event.note,
-        velocity: event.velocity,
-        time: event.recordTime
-      }))
-    };
+      stopTime
+    });
     
     return JSON.stringify(recordingData, null, 2);
   };
   
   /**
-   * Import recording from a JSON string
+   * Import recording from a JSON string as a new take
+   * 
+   * Exports from older versions are migrated to the current format first.
+   * 
    * @param {string} jsonString - JSON string from exportToJSON
    * @returns {boolean} Success indicator
    */
@@ -250,19 +548,24 @@ export const createMidiRecorder = () => {
         return false;
       }
       
-      startTime = data.startTime || Date.now();
-      stopTime = data.stopTime || null;
-      events = data.events.map(event => ({
-        type: event.type,
-        note: event.note,
-        velocity: event.velocity,
-        recordTime: event.time,
-        // Reconstruct raw notes
-        rawNote: {
-          number: getMidiNoteNumber(event.note)
-        },
-        timestamp: startTime + event.time
-      }));
+      const document = migrateRecordingDocument(data);
+      const errors = validateRecordingDocument(document);
+      if (errors.length > 0) {
+        console.error('Invalid recording:', errors);
+        return false;
+      }
+      
+      const { title, tempo, instrument, createdAt } = document.metadata;
+      beginTake(title);
+      startTime = document.startTime || Date.now();
+      stopTime = document.stopTime || startTime + document.duration;
+      events = documentToEvents(document, startTime);
+      
+      const take = getCurrentTake();
+      take.metadata = { tempo, instrument, createdAt };
+      // Re-number markers so they cannot clash with ids already handed out
+      take.markers = (document.markers || []).map(marker => ({ ...marker, id: `marker-${nextMarkerNumber++}` }));
+      take.regions = (document.regions || []).map(region => ({ ...region, id: `marker-${nextMarkerNumber++}` }));
       
       return true;
     } catch (error) {
@@ -271,6 +574,479 @@ export const createMidiRecorder = () => {
     }
   };
   
+  /**
+   * Import recording from a Standard MIDI File (format 0 or 1)
+   * @param {Uint8Array|ArrayBuffer} midiData - Contents of a .mid file
+   * @returns {boolean} Success indicator
+   */
+  const importFromMIDI = (midiData) => {
+    try {
+      const midiFile = parseMidiFile(midiData);
+      
+      beginTake();
+      startTime = Date.now();
+      stopTime = startTime + Math.round(midiFile.duration);
+      events = midiFile.events
+        .map(midiFileEventToMessage)
+        .filter(Boolean)
+        .map(event => ({
+          ...event,
+          timestamp: startTime + event.recordTime
+        }));
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to import MIDI file:', error);
+      return false;
+    }
+  };
+  
+  /**
+   * Quantize the recording to a rhythmic grid
+   * 
+   * Quantization is non-destructive: it is always applied to the original
+   * performance, which stays available through getOriginalRecording and
+   * can be restored with removeQuantization.
+   * 
+   * @param {Object} options - Quantize options (see quantizeEvents)
+   * @param {string} options.grid - '1/4', '1/8', '1/16' or '1/32' (default: '1/16')
+   * @param {boolean} options.triplet - Use a triplet grid (default: false)
+   * @param {number} options.tempo - Tempo in BPM (default: 120)
+   * @param {number} options.strength - 0-1, how far to move towards the grid (default: 1)
+   * @param {number} options.swing - 0 (straight) to 1 (triplet feel) (default: 0)
+   * @param {string} options.endMode - 'keep', 'ends' or 'lengths' (default: 'keep')
+   * @returns {Array} The quantized events
+   */
+  const quantize = (options = {}) => {
+    if (isRecording) {
+      console.error('Cannot quantize while recording');
+      return getRecording();
+    }
+    
+    if (!originalEvents) {
+      originalEvents = events;
+    }
+    
+    events = quantizeEvents(originalEvents, options);
+    return getRecording();
+  };
+  
+  /**
+   * Restore the original, unquantized recording
+   */
+  const removeQuantization = () => {
+    if (originalEvents) {
+      events = originalEvents;
+      originalEvents = null;
+    }
+  };
+  
+  /**
+   * Get the recording as it was played, before any quantization
+   * @returns {Array} Array of original MIDI events
+   */
+  const getOriginalRecording = () => {
+    return [...(originalEvents || events)];
+  };
+  
+  /**
+   * Forget all undo/redo history
+   */
+  const clearHistory = () => {
+    undoStack = [];
+    redoStack = [];
+  };
+  
+  /**
+   * Apply an edit to the note list and record it in the undo history
+   * 
+   * Editing works on the current (possibly quantized) recording and makes it
+   * the new original, so quantization is baked in by the first edit.
+   * 
+   * @param {Function} editNotes - Receives the note list and returns the edited list
+   * @param {Function} editOtherEvents - Receives the non-note events and returns them edited
+   * @returns {Array} The edited note list
+   */
+  const applyEdit = (editNotes, editOtherEvents = otherEvents => otherEvents) => {
+    if (isRecording) {
+      console.error('Cannot edit while recording');
+      return getNotes();
+    }
+    
+    const otherEvents = events.filter(event => !isNoteOnEvent(event) && !isNoteOffEvent(event));
+    const notes = editNotes(eventsToNotes(events));
+    
+    undoStack.push({ events, originalEvents });
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack = [];
+    
+    events = notesToEvents(notes, { otherEvents: editOtherEvents(otherEvents), startTime });
+    originalEvents = null;
+    
+    return notes;
+  };
+  
+  /**
+   * Get the recording as a note list
+   * @returns {Array} Notes as { id, midi, note, start, duration, velocity }; ids are
+   * positions in this list and change after every edit
+   */
+  const getNotes = () => {
+    return eventsToNotes(events);
+  };
+  
+  /**
+   * Replace the notes of the recording (non-note events are kept)
+   * @param {Array} notes - Notes as { midi, start, duration, velocity }
+   * @returns {Array} The new note list
+   */
+  const setNotes = (notes) => applyEdit(() => notes);
+  
+  /**
+   * Keep only the part of the recording between two times, moved to the start
+   * @param {number} start - Range start in ms
+   * @param {number} end - Range end in ms
+   * @returns {Array} The edited note list
+   */
+  const trim = (start, end) => applyEdit(
+    notes => trimNotes(notes, start, end),
+    otherEvents => trimEvents(otherEvents, start, end)
+  );
+  
+  /**
+   * Remove a time range from the recording and close the gap
+   * @param {number} start - Range start in ms
+   * @param {number} end - Range end in ms
+   * @returns {Array} The edited note list
+   */
+  const cutRange = (start, end) => applyEdit(
+    notes => cutNotes(notes, start, end),
+    otherEvents => cutEvents(otherEvents, start, end)
+  );
+  
+  /**
+   * Transpose the recording, or some of its notes
+   * @param {number} semitones - Semitones to move (negative moves down)
+   * @param {Array<number>} noteIds - Only transpose these note ids (default: all)
+   * @returns {Array} The edited note list
+   */
+  const transpose = (semitones, noteIds = null) => applyEdit(
+    notes => transposeNotes(notes, semitones, noteIds)
+  );
+  
+  /**
+   * Multiply all velocities by a factor
+   * @param {number} factor - Velocity multiplier
+   * @returns {Array} The edited note list
+   */
+  const scaleVelocity = (factor) => applyEdit(notes => scaleVelocities(notes, factor));
+  
+  /**
+   * Even out velocities by pulling them towards a target
+   * @param {number} amount - 0 (no change) to 1 (all notes at the target)
+   * @param {number} target - Target velocity (default: average velocity)
+   * @returns {Array} The edited note list
+   */
+  const compressVelocity = (amount = 0.5, target = null) => applyEdit(
+    notes => compressVelocities(notes, amount, target)
+  );
+  
+  /**
+   * Remove a single note
+   * @param {number} noteId - Id from getNotes
+   * @returns {Array} The edited note list
+   */
+  const removeNote = (noteId) => applyEdit(notes => deleteNote(notes, noteId));
+  
+  /**
+   * Move a single note in time and/or pitch
+   * @param {number} noteId - Id from getNotes
+   * @param {Object} changes - { timeDelta (ms), pitchDelta (semitones) }
+   * @returns {Array} The edited note list
+   */
+  const shiftNote = (noteId, changes) => applyEdit(notes => moveNote(notes, noteId, changes));
+  
+  /**
+   * Merge another recording into this one
+   * @param {Array} otherEvents - Recorder events of the other recording (e.g. from getRecording)
+   * @param {number} offset - Time in ms at which the other recording starts (default: 0)
+   * @returns {Array} The edited note list
+   */
+  const mergeRecording = (otherEvents, offset = 0) => applyEdit(
+    notes => mergeNotes(notes, eventsToNotes(otherEvents), offset),
+    ownEvents => [
+      ...ownEvents,
+      ...otherEvents
+        .filter(event => !isNoteOnEvent(event) && !isNoteOffEvent(event))
+        .map(event => ({ ...event, recordTime: event.recordTime + offset }))
+    ]
+  );
+  
+  /**
+   * Undo the last edit
+   * @returns {boolean} Whether there was an edit to undo
+   */
+  const undo = () => {
+    if (undoStack.length === 0) return false;
+    redoStack.push({ events, originalEvents });
+    ({ events, originalEvents } = undoStack.pop());
+    return true;
+  };
+  
+  /**
+   * Redo the last undone edit
+   * @returns {boolean} Whether there was an edit to redo
+   */
+  const redo = () => {
+    if (redoStack.length === 0) return false;
+    undoStack.push({ events, originalEvents });
+    ({ events, originalEvents } = redoStack.pop());
+    return true;
+  };
+  
+  /**
+   * List the takes of this session
+   * @returns {Array} Takes as { id, name, isCurrent, eventCount, duration }
+   */
+  const getTakes = () => {
+    saveCurrentTake();
+    return takes.map(take => ({
+      id: take.id,
+      name: take.name,
+      isCurrent: take.id === currentTakeId,
+      eventCount: take.events.length,
+      duration: take.events.length > 0 ? Math.max(...take.events.map(event => event.recordTime)) : 0
+    }));
+  };
+  
+  /**
+   * Make another take the current one
+   * @param {string} takeId - Take id from getTakes
+   * @returns {boolean} Success indicator
+   */
+  const selectTake = (takeId) => {
+    if (isRecording) {
+      console.error('Cannot switch takes while recording');
+      return false;
+    }
+    
+    const take = takes.find(t => t.id === takeId);
+    if (!take) return false;
+    
+    saveCurrentTake();
+    loadTake(take);
+    return true;
+  };
+  
+  /**
+   * Rename a take
+   * @param {string} takeId - Take id from getTakes
+   * @param {string} name - New name
+   * @returns {boolean} Success indicator
+   */
+  const renameTake = (takeId, name) => {
+    const take = takes.find(t => t.id === takeId);
+    if (!take) return false;
+    
+    take.name = name;
+    return true;
+  };
+  
+  /**
+   * Delete a take. Deleting the current take selects the most recent remaining one.
+   * @param {string} takeId - Take id from getTakes
+   * @returns {boolean} Success indicator
+   */
+  const deleteTake = (takeId) => {
+    if (isRecording && takeId === currentTakeId) {
+      console.error('Cannot delete the take that is being recorded');
+      return false;
+    }
+    
+    const index = takes.findIndex(t => t.id === takeId);
+    if (index === -1) return false;
+    
+    takes.splice(index, 1);
+    
+    if (takeId === currentTakeId) {
+      if (takes.length > 0) {
+        loadTake(takes[takes.length - 1]);
+      } else {
+        currentTakeId = null;
+        events = [];
+        originalEvents = null;
+        startTime = null;
+        stopTime = null;
+        clearHistory();
+      }
+    }
+    
+    return true;
+  };
+  
+  /**
+   * Get the events of any take without selecting it
+   * @param {string} takeId - Take id from getTakes
+   * @returns {Array|null} Array of MIDI events, or null if the take does not exist
+   */
+  const getTakeRecording = (takeId) => {
+    saveCurrentTake();
+    const take = takes.find(t => t.id === takeId);
+    return take ? [...take.events] : null;
+  };
+  
+  /**
+   * Start keeping the last few minutes of playing, whether or not recording is active
+   * @param {Object} options - Capture options
+   * @param {number} options.duration - How much history to keep, in ms (default: 5 minutes)
+   * @param {number} options.silenceGap - Silence in ms that separates captured phrases (default: 3000)
+   */
+  const enableCapture = (options = {}) => {
+    captureBuffer = createCaptureBuffer(options);
+  };
+  
+  /**
+   * Stop capturing and discard the captured playing
+   */
+  const disableCapture = () => {
+    captureBuffer = null;
+  };
+  
+  /**
+   * List the phrases in the capture buffer
+   * @returns {Array} Phrases as { startTime, endTime, duration, eventCount }, oldest first
+   */
+  const getCapturedPhrases = () => {
+    if (!captureBuffer) return [];
+    
+    return captureBuffer.getSegments().map(segment => ({
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      duration: segment.endTime - segment.startTime,
+      eventCount: segment.events.length
+    }));
+  };
+  
+  /**
+   * Save captured phrases as takes
+   * @param {Object} options - Save options
+   * @param {number} options.count - Number of most recent phrases to save (default: all)
+   * @param {boolean} options.clear - Empty the capture buffer afterwards (default: true)
+   * @returns {Array} Ids of the created takes; the last one becomes the current take
+   */
+  const saveCapture = (options = {}) => {
+    const { count = Infinity, clear = true } = options;
+    
+    if (!captureBuffer) return [];
+    if (isRecording) {
+      console.error('Cannot save captured playing while recording');
+      return [];
+    }
+    
+    const segments = captureBuffer.getSegments();
+    const saved = segments.slice(Math.max(0, segments.length - count));
+    
+    const takeIds = saved.map(segment => {
+      beginTake();
+      events = segment.events;
+      startTime = segment.startTime;
+      stopTime = segment.endTime;
+      return currentTakeId;
+    });
+    
+    if (clear) captureBuffer.clear();
+    
+    return takeIds;
+  };
+  
+  /**
+   * Get the metadata of the current take
+   * @returns {Object|null} { title, tempo, instrument, createdAt }
+   */
+  const getMetadata = () => {
+    const take = getCurrentTake();
+    return take ? { ...take.metadata, title: take.name } : null;
+  };
+  
+  /**
+   * Update the metadata of the current take
+   * @param {Object} fields - Any of { title, tempo, instrument }
+   * @returns {boolean} Success indicator
+   */
+  const setMetadata = (fields) => {
+    const take = getCurrentTake();
+    if (!take) return false;
+    
+    const { title, ...metadata } = fields;
+    if (title) take.name = title;
+    take.metadata = { ...take.metadata, ...metadata };
+    return true;
+  };
+  
+  /**
+   * Add a named marker to the current take
+   * @param {string} name - Marker name
+   * @param {number} time - Position in ms
+   * @returns {string|null} Marker id, or null if there is no take
+   */
+  const addMarker = (name, time) => {
+    const take = getCurrentTake();
+    if (!take) return null;
+    
+    const id = `marker-${nextMarkerNumber++}`;
+    take.markers.push({ id, name, time: Math.max(0, time) });
+    return id;
+  };
+  
+  /**
+   * Add a named region to the current take
+   * @param {string} name - Region name
+   * @param {number} start - Region start in ms
+   * @param {number} end - Region end in ms
+   * @returns {string|null} Region id, or null if there is no take
+   */
+  const addRegion = (name, start, end) => {
+    const take = getCurrentTake();
+    if (!take) return null;
+    
+    const id = `marker-${nextMarkerNumber++}`;
+    take.regions.push({ id, name, start: Math.max(0, Math.min(start, end)), end: Math.max(start, end) });
+    return id;
+  };
+  
+  /**
+   * Remove a marker or region from the current take
+   * @param {string} id - Marker or region id
+   * @returns {boolean} True if something was removed
+   */
+  const removeMarker = (id) => {
+    const take = getCurrentTake();
+    if (!take) return false;
+    
+    const markerCount = take.markers.length + take.regions.length;
+    take.markers = take.markers.filter(marker => marker.id !== id);
+    take.regions = take.regions.filter(region => region.id !== id);
+    return take.markers.length + take.regions.length < markerCount;
+  };
+  
+  /**
+   * Get the markers of the current take
+   * @returns {Array} Markers as { id, name, time }, in time order
+   */
+  const getMarkers = () => {
+    const take = getCurrentTake();
+    return take ? [...take.markers].sort((a, b) => a.time - b.time) : [];
+  };
+  
+  /**
+   * Get the regions of the current take
+   * @returns {Array} Regions as { id, name, start, end }, in time order
+   */
+  const getRegions = () => {
+    const take = getCurrentTake();
+    return take ? [...take.regions].sort((a, b) => a.start - b.start) : [];
+  };
+  
   /**
    * Get duration of the recording in milliseconds
    * @returns {number} Duration in ms
@@ -287,6 +1063,8 @@ export const createMidiRecorder = () => {
    */
   const clearRecording = () => {
     events = [];
+    originalEvents = null;
+    clearHistory();
     startTime = null;
     stopTime = null;
   };
@@ -298,12 +1076,51 @@ export const createMidiRecorder = () => {
     getRecording,
     playRecording,
     exportToMIDI,
+    exportToMusicXML,
     exportToJSON,
     importFromJSON,
+    importFromMIDI,
+    quantize,
+    removeQuantization,
+    getOriginalRecording,
+    getNotes,
+    setNotes,
+    trim,
+    cutRange,
+    transpose,
+    scaleVelocity,
+    compressVelocity,
+    deleteNote: removeNote,
+    moveNote: shiftNote,
+    mergeRecording,
+    undo,
+    redo,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
     getDuration,
     clearRecording,
+    getTakes,
+    selectTake,
+    renameTake,
+    deleteTake,
+    getTakeRecording,
+    enableCapture,
+    disableCapture,
+    getCapturedPhrases,
+    saveCapture,
+    getMetadata,
+    setMetadata,
+    addMarker,
+    addRegion,
+    removeMarker,
+    getMarkers,
+    getRegions,
     // Expose state getters
     isRecording: () => isRecording,
+    isRecordingLayer: () => layer !== null,
+    getCurrentTakeId: () => currentTakeId,
+    isCapturing: () => captureBuffer !== null,
+    isQuantized: () => originalEvents !== null,
     getStartTime: () => startTime,
     getStopTime: () => stopTime,
     getEventCount: () => events.length
@@ -311,53 +1128,50 @@ export const createMidiRecorder = () => {
 };
 
 /**
- * Encode an integer to a variable-length quantity for MIDI
- * @param {number} value - Integer value to encode
- * @returns {Array} Bytes of the encoded value
+ * Convert a parsed MIDI file event into the recorder's message format
+ * @param {Object} fileEvent - Event from parseMidiFile
+ * @returns {Object|null} Recorder event, or null for events the recorder does not store
  */
-function encodeVariableLength(value) {
-  if (value < 0) {
-    throw new Error('Cannot encode negative value');
-  }
+function midiFileEventToMessage(fileEvent) {
+  const base = {
+    channel: fileEvent.channel + 1, // WebMidi channels are 1-16
+    source: 'midi-file',
+    recordTime: Math.round(fileEvent.time)
+  };
   
-  if (value < 128) {
-    return [value];
+  if (fileEvent.type === 'noteon' && fileEvent.velocity > 0) {
+    return {
+      ...base,
+      type: 'noteon',
+      note: getMidiNoteName(fileEvent.note),
+      velocity: fileEvent.velocity / 127,
+      rawNote: { number: fileEvent.note }
+    };
   }
   
-  const bytes = [];
-  let remaining = value;
-  
-  while (remaining > 0) {
-    let byte = remaining & 0x7F; // Get 7 least significant bits
-    remaining >>= 7;
-    
-    if (bytes.length > 0) {
-      byte |= 0x80; // Set highest bit for continuation
-    }
-    
-    bytes.unshift(byte); // Add to beginning
+  if (fileEvent.type === 'noteoff' || fileEvent.type === 'noteon') {
+    return {
+      ...base,
+      type: 'noteoff',
+      note: getMidiNoteName(fileEvent.note),
+      rawNote: { number: fileEvent.note },
+      // A note-on with velocity 0 carries no release velocity
+      release: fileEvent.type === 'noteoff' ? fileEvent.velocity / 127 : undefined
+    };
   }
   
-  // Set highest bit for all except the last byte
-  for (let i = 0; i < bytes.length - 1; i++) {
-    bytes[i] |= 0x80;
+  switch (fileEvent.type) {
+    case 'controlchange':
+      return { ...base, ...createControlChangeMessage(fileEvent.controller, fileEvent.value) };
+    case 'pitchbend':
+      return { ...base, ...createPitchBendMessage(fileEvent.value) };
+    case 'channelaftertouch':
+      return { ...base, ...createChannelAftertouchMessage(fileEvent.value) };
+    case 'keyaftertouch':
+      return { ...base, ...createKeyAftertouchMessage(fileEvent.note, fileEvent.value) };
+    default:
+      return null;
   }
-  
-  return bytes;
-}
-
-/**
- * Encode a 32-bit integer to 4 bytes
- * @param {number} value - Integer value to encode
- * @returns {Array} 4 bytes of the encoded value
- */
-function encodeInt32(value) {
-  return [
-    (value >> 24) & 0xFF,
-    (value >> 16) & 0xFF,
-    (value >> 8) & 0xFF,
-    value & 0xFF
-  ];
 }
 
 export default createMidiRecorder;
\ No newline at end of file
@@ -1,4 +1,5 @@
 // src/utils/NoteRecognitionModule.js
+import { identifyChord } from './chordRecognition';
 import { getMidiNoteNumber, getMidiNoteName } from './midiUtils';
 
 /**
@@ -46,56 +47,30 @@ export const noteInExpectedSet = (playedNote, expectedNotes) => {
 
 /**
  * Recognizes a chord from an array of notes
+ * 
+ * Recognition works on pitch classes, so inversions, open voicings and doubled
+ * notes are named too. Use getChordCandidates for the root, quality, bass and
+ * confidence of every likely chord.
+ * 
  * @param {Array<string|number>} notes - Array of notes (can be MIDI numbers or note names)
- * @returns {string|null} Recognized chord name or null if not recognized
+ * @returns {string|null} Recognized chord name (e.g. "C4 major", or "C5 major/E4" for an inversion) or null if not recognized
  */
 export const recognizeChord = (notes) => {
   // Convert all notes to MIDI numbers for easier comparison
   const midiNotes = notes.map(note => 
     typeof note === 'string' ? getMidiNoteNumber(note) : note
-  ).sort((a, b) => a - b);
-  
-  if (midiNotes.length < 2) return null;
+  ).filter(note => note !== null).sort((a, b) => a - b);
   
-  // Extract the root note (lowest note)
-  const rootNote = getMidiNoteName(midiNotes[0]);
-  
-  // Calculate intervals from the root
-  const intervals = midiNotes.slice(1).map(note => note - midiNotes[0]);
-  
-  // Common chord patterns (intervals from root)
-  const chordPatterns = {
-    // Major chords
-    '4,7': 'major',
-    '4,7,12': 'major',
-    
-    // Minor chords
-    '3,7': 'minor',
-    '3,7,12': 'minor',
-    
-    // Diminished chords
-    '3,6': 'diminished',
-    '3,6,9': 'diminished',
-    
-    // Augmented chords
-    '4,8': 'augmented',
-    
-    // Seventh chords
-    '4,7,10': 'dominant 7th',
-    '4,7,11': 'major 7th',
-    '3,7,10': 'minor 7th',
-    '3,6,10': 'half-diminished 7th',
-    '3,6,9': 'diminished 7th',
-    
-    // Suspended chords
-    '5,7': 'sus4',
-    '2,7': 'sus2'
-  };
+  const chord = identifyChord(midiNotes);
+  if (!chord) return null;
   
-  const intervalStr = intervals.join(',');
-  const chordType = chordPatterns[intervalStr];
+  // Name the root and bass with the octave they are played in
+  const rootNote = getMidiNoteName(midiNotes.find(note => note % 12 === chord.root));
+  const bassNote = getMidiNoteName(midiNotes[0]);
   
-  return chordType ? `${rootNote} ${chordType}` : null;
+  return chord.bass === chord.root
+    ? `${rootNote} ${chord.qualityName}`
+    : `${rootNote} ${chord.qualityName}/${bassNote}`;
 };
 
 /**
@@ -0,0 +1,118 @@
+// src/utils/captureBuffer.js
+import { isNoteOffEvent, isNoteOnEvent } from './recordingNotes';
+
+/**
+ * Capture Buffer
+ *
+ * Keeps a rolling window of the most recent MIDI messages, so a performance can
+ * be saved after the fact even if recording was never started. The buffer is
+ * split into phrases wherever no note sounded for a while.
+ */
+
+// Default length of the rolling window (5 minutes)
+const DEFAULT_CAPTURE_DURATION = 5 * 60 * 1000;
+
+// Default silence that separates two phrases
+const DEFAULT_SILENCE_GAP = 3000;
+
+/**
+ * Creates a rolling capture buffer
+ * @param {Object} options - Buffer options
+ * @param {number} options.duration - How much history to keep, in ms (default: 5 minutes)
+ * @param {number} options.silenceGap - Silence in ms that splits the buffer into phrases (default: 3000)
+ * @returns {Object} Capture buffer
+ */
+export const createCaptureBuffer = ({
+  duration = DEFAULT_CAPTURE_DURATION,
+  silenceGap = DEFAULT_SILENCE_GAP,
+} = {}) => {
+  let messages = [];
+
+  /**
+   * Drop messages that fell out of the window
+   * @param {number} now - Current timestamp
+   */
+  const prune = now => {
+    const cutoff = now - duration;
+    const firstKept = messages.findIndex(message => message.timestamp >= cutoff);
+    if (firstKept === -1) {
+      messages = [];
+    } else if (firstKept > 0) {
+      messages = messages.slice(firstKept);
+    }
+  };
+
+  /**
+   * Add a MIDI message to the buffer
+   * @param {Object} message - MIDI message object
+   * @param {number} timestamp - Time the message was received (default: now)
+   */
+  const add = (message, timestamp = Date.now()) => {
+    messages.push({ ...message, timestamp });
+    prune(timestamp);
+  };
+
+  /**
+   * Split the buffer into phrases at silence gaps
+   *
+   * A phrase ends when no note is held and nothing is played for at least
+   * silenceGap ms. Note-offs whose note-on has already left the window are dropped.
+   *
+   * @returns {Array} Phrases as { startTime, endTime, events }, with event
+   * recordTimes relative to the phrase start
+   */
+  const getSegments = () => {
+    prune(Date.now());
+
+    const segments = [];
+    const heldNotes = new Map();
+    let current = null;
+    let lastTime = -Infinity;
+
+    messages.forEach(message => {
+      const noteNumber = message.rawNote?.number ?? message.note;
+      const isHolding = [...heldNotes.values()].some(count => count > 0);
+
+      if (isNoteOffEvent(message) && !heldNotes.get(noteNumber)) return;
+
+      if (!current || (!isHolding && message.timestamp - lastTime >= silenceGap)) {
+        current = { startTime: message.timestamp, endTime: message.timestamp, messages: [] };
+        segments.push(current);
+      }
+
+      if (isNoteOnEvent(message)) {
+        heldNotes.set(noteNumber, (heldNotes.get(noteNumber) || 0) + 1);
+      } else if (isNoteOffEvent(message)) {
+        heldNotes.set(noteNumber, heldNotes.get(noteNumber) - 1);
+      }
+
+      current.messages.push(message);
+      current.endTime = message.timestamp;
+      lastTime = message.timestamp;
+    });
+
+    return segments
+      .filter(segment => segment.messages.some(isNoteOnEvent))
+      .map(({ startTime, endTime, messages: segmentMessages }) => ({
+        startTime,
+        endTime,
+        events: segmentMessages.map(message => ({
+          ...message,
+          recordTime: message.timestamp - startTime,
+        })),
+      }));
+  };
+
+  return {
+    add,
+    getSegments,
+    clear: () => {
+      messages = [];
+    },
+    getMessageCount: () => messages.length,
+    getDuration: () => duration,
+    getSilenceGap: () => silenceGap,
+  };
+};
+
+export default createCaptureBuffer;
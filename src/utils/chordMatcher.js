@@ -0,0 +1,223 @@
+// src/utils/chordMatcher.js
+import { resolvePlayedNote } from './practiceSteps';
+
+/**
+ * Chord Matcher
+ *
+ * Checks played notes against an expected note or chord and keeps track of
+ * which expected notes are satisfied, which are still pending and which wrong
+ * notes were played. A chord is complete when all of its notes arrive within
+ * the chord window; a chord spread wider than the window starts over from the
+ * latest note.
+ *
+ * Tolerances:
+ * - octave equivalence: any octave of an expected note satisfies it
+ * - grace notes: a wrong note followed closely by the first expected note is
+ *   taken as a grace note, not a mistake; wrong notes once a chord tone has
+ *   been played are always mistakes
+ * - repeated notes: striking a satisfied note again is not a mistake
+ *
+ * All decisions use one clock: the times passed with the notes, and the `now`
+ * option for notes passed without one. A wrong note waiting to be taken as a
+ * grace note is reported by the next note played after the window, by flush(),
+ * or by a timer that checks the window against `now`; times on another clock
+ * than `now` (such as a replayed recording) should be followed by flush().
+ */
+
+/**
+ * Creates a chord-aware note matcher
+ * @param {Object} options - Matcher options
+ * @param {number} options.chordWindow - Ms in which all notes of a chord must arrive (default: 100)
+ * @param {boolean} options.octaveEquivalent - Accept expected notes in any octave (default: false)
+ * @param {number} options.graceNoteWindow - Ms a wrong note may come before an expected one and
+ *   count as a grace note; 0 reports every wrong note at once (default: 150)
+ * @param {boolean} options.allowRepeatedNotes - Ignore satisfied notes struck again (default: true)
+ * @param {Function} options.now - Clock the note times are on, in ms (default: Date.now)
+ * @param {Function} options.onNoteMatch - Called as onNoteMatch(midiNote, progress) for each satisfied note
+ * @param {Function} options.onChordComplete - Called with { expected, played, spread, time } when all notes arrive
+ * @param {Function} options.onWrongNote - Called as onWrongNote(midiNote, progress)
+ * @param {Function} options.onProgress - Called with the progress whenever it changes
+ * @returns {Object} Matcher with methods for setting expected notes and handling played ones
+ */
+export const createChordMatcher = ({
+  chordWindow = 100,
+  octaveEquivalent = false,
+  graceNoteWindow = 150,
+  allowRepeatedNotes = true,
+  now = Date.now,
+  onNoteMatch = null,
+  onChordComplete = null,
+  onWrongNote = null,
+  onProgress = null,
+} = {}) => {
+  let expected = [];
+  // Satisfied expected notes with the time and note that satisfied them
+  const satisfied = new Map();
+  let wrongNotes = [];
+  let graceNotes = [];
+  let complete = false;
+
+  // Wrong notes waiting to see whether they lead into an expected note
+  let tentativeNotes = [];
+
+  const sameNote = (a, b) => (octaveEquivalent ? (a - b) % 12 === 0 : a === b);
+
+  /**
+   * Get the matching state
+   * @returns {Object} { status, expected, satisfied, pending, wrong, graceNotes }
+   */
+  const getProgress = () => ({
+    status: complete ? 'complete' : satisfied.size > 0 ? 'partial' : 'pending',
+    expected: [...expected],
+    satisfied: [...satisfied.keys()],
+    pending: expected.filter(note => !satisfied.has(note)),
+    wrong: [...wrongNotes],
+    graceNotes: [...graceNotes],
+  });
+
+  const notifyProgress = () => {
+    if (onProgress) onProgress(getProgress());
+  };
+
+  const reportWrongNote = midiNote => {
+    wrongNotes.push(midiNote);
+    if (onWrongNote) onWrongNote(midiNote, getProgress());
+    notifyProgress();
+  };
+
+  /**
+   * Report tentative wrong notes that no expected note followed in time
+   * @param {Function} isStale - Returns true for the tentative notes to report (default: all)
+   */
+  const confirmTentativeNotes = (isStale = () => true) => {
+    const stale = tentativeNotes.filter(isStale);
+    tentativeNotes = tentativeNotes.filter(tentative => !stale.includes(tentative));
+    stale.forEach(tentative => {
+      clearTimeout(tentative.timer);
+      reportWrongNote(tentative.midi);
+    });
+  };
+
+  /**
+   * Report a tentative wrong note once its grace-note window has passed on the clock
+   * @param {Object} tentative - Tentative note as { midi, time }
+   */
+  const scheduleConfirmation = tentative => {
+    const remaining = tentative.time + graceNoteWindow - now();
+    tentative.timer = setTimeout(
+      () => {
+        if (now() - tentative.time > graceNoteWindow) {
+          confirmTentativeNotes(pending => pending === tentative);
+        } else {
+          scheduleConfirmation(tentative);
+        }
+      },
+      Math.max(0, remaining) + 1
+    );
+  };
+
+  const clearTentativeNotes = () => {
+    tentativeNotes.forEach(tentative => clearTimeout(tentative.timer));
+    tentativeNotes = [];
+  };
+
+  /**
+   * Set the note or chord expected next; progress starts over
+   * @param {Array<string|number>} notes - Note names or MIDI numbers
+   */
+  const setExpectedNotes = notes => {
+    clearTentativeNotes();
+    expected = [...new Set(notes.map(resolvePlayedNote).filter(note => note !== null))];
+    satisfied.clear();
+    wrongNotes = [];
+    graceNotes = [];
+    complete = false;
+    notifyProgress();
+  };
+
+  /**
+   * Check a played note
+   * @param {string|number|Object} note - Note name, MIDI number or MIDI message
+   * @param {number} time - Time the note was played in ms, on the `now` clock (default: now)
+   * @returns {string} 'match', 'repeat', 'wrong', 'tentative' (possible grace note) or 'ignored'
+   */
+  const handleNoteOn = (note, time = now()) => {
+    const midiNote = resolvePlayedNote(note);
+    if (midiNote === null) return 'ignored';
+    confirmTentativeNotes(tentative => time - tentative.time > graceNoteWindow);
+
+    const isExpected = expected.some(expectedNote => sameNote(expectedNote, midiNote));
+    if (!isExpected) {
+      // Only notes leading into the chord can be grace notes
+      if (graceNoteWindow > 0 && !complete && satisfied.size === 0) {
+        const tentative = { midi: midiNote, time };
+        scheduleConfirmation(tentative);
+        tentativeNotes.push(tentative);
+        return 'tentative';
+      }
+      reportWrongNote(midiNote);
+      return 'wrong';
+    }
+
+    // Prefer the expected note itself over another octave of it
+    const target =
+      expected.find(expectedNote => expectedNote === midiNote && !satisfied.has(expectedNote)) ??
+      expected.find(
+        expectedNote => sameNote(expectedNote, midiNote) && !satisfied.has(expectedNote)
+      );
+
+    if (target === undefined || complete) {
+      if (allowRepeatedNotes) return 'repeat';
+      reportWrongNote(midiNote);
+      return 'wrong';
+    }
+
+    // Wrong notes just before an expected one were grace notes
+    graceNotes.push(...tentativeNotes.map(tentative => tentative.midi));
+    clearTentativeNotes();
+
+    // A chord spread wider than the window starts over from this note
+    const firstTime = Math.min(...[...satisfied.values()].map(entry => entry.time));
+    if (satisfied.size > 0 && time - firstTime > chordWindow) satisfied.clear();
+
+    satisfied.set(target, { time, played: midiNote });
+    if (onNoteMatch) onNoteMatch(midiNote, getProgress());
+
+    if (satisfied.size === expected.length) {
+      complete = true;
+      const times = [...satisfied.values()].map(entry => entry.time);
+      if (onChordComplete) {
+        onChordComplete({
+          expected: [...expected],
+          played: [...satisfied.values()].map(entry => entry.played),
+          spread: Math.max(...times) - Math.min(...times),
+          time,
+        });
+      }
+    }
+    notifyProgress();
+    return 'match';
+  };
+
+  /**
+   * Check the note-ons among MIDI messages
+   * @param {Object} message - MIDI message, timed by its timestamp (on the `now` clock)
+   * @returns {string|null} Result of handleNoteOn, or null for other messages
+   */
+  const handleMidiMessage = message => {
+    if (message.type !== 'noteon' || message.velocity === 0) return null;
+    return handleNoteOn(message, message.timestamp ?? now());
+  };
+
+  return {
+    setExpectedNotes,
+    handleNoteOn,
+    handleMidiMessage,
+    getProgress,
+    isComplete: () => complete,
+    flush: () => confirmTentativeNotes(),
+    reset: () => setExpectedNotes([]),
+  };
+};
+
+export default createChordMatcher;
@@ -0,0 +1,335 @@
+// src/utils/chordRecognition.js
+import { resolvePlayedNote } from './practiceSteps';
+
+/**
+ * Chord Recognition
+ *
+ * Names chords from the set of pitch classes that sound, so octaves, doubled
+ * notes and open voicings do not matter. Every pitch class is tried as the root
+ * against a table of chord qualities; the lowest note decides the bass, which
+ * names inversions and slash chords (C/E, C/D).
+ *
+ * Candidates are ranked by confidence:
+ * - the share of the quality's tones that sound, against the notes it leaves
+ *   unexplained; optional tones (such as the fifth of a seventh chord) may be
+ *   left out at a smaller cost
+ * - root position is preferred over inversions, and inversions over a bass
+ *   that is not a chord tone
+ *
+ * A black-key root is spelled as a sharp or a flat, whichever spells the chord
+ * with fewer accidentals (Bbmaj7, not A#maj7), unless the key context says
+ * which (options.preferFlats); the bass is spelled as a tone of the chord.
+ */
+
+export const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const FLAT_PITCH_CLASS_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// Letters above the root that each interval is spelled on (a third is two letters up)
+const INTERVAL_LETTER_STEPS = [0, 1, 1, 2, 2, 3, 4, 4, 4, 5, 6, 6];
+
+/**
+ * Chord qualities as intervals in semitones above the root, in stacking order
+ * (root, third, fifth, seventh, extensions). Optional intervals may be omitted.
+ */
+export const CHORD_QUALITIES = [
+  { id: 'power', name: 'power', symbol: '5', intervals: [0, 7] },
+  { id: 'major', name: 'major', symbol: '', intervals: [0, 4, 7] },
+  { id: 'minor', name: 'minor', symbol: 'm', intervals: [0, 3, 7] },
+  { id: 'diminished', name: 'diminished', symbol: 'dim', intervals: [0, 3, 6] },
+  { id: 'augmented', name: 'augmented', symbol: 'aug', intervals: [0, 4, 8] },
+  { id: 'sus2', name: 'sus2', symbol: 'sus2', intervals: [0, 2, 7] },
+  { id: 'sus4', name: 'sus4', symbol: 'sus4', intervals: [0, 5, 7] },
+  { id: 'major6', name: 'major 6th', symbol: '6', intervals: [0, 4, 7, 9], optional: [7] },
+  { id: 'minor6', name: 'minor 6th', symbol: 'm6', intervals: [0, 3, 7, 9], optional: [7] },
+  { id: 'sixNine', name: '6/9', symbol: '6/9', intervals: [0, 4, 7, 9, 2], optional: [7] },
+  {
+    id: 'minorSixNine',
+    name: 'minor 6/9',
+    symbol: 'm6/9',
+    intervals: [0, 3, 7, 9, 2],
+    optional: [7],
+  },
+  { id: 'add9', name: 'add9', symbol: 'add9', intervals: [0, 4, 7, 2], optional: [7] },
+  { id: 'minorAdd9', name: 'minor add9', symbol: 'madd9', intervals: [0, 3, 7, 2], optional: [7] },
+  { id: 'dominant7', name: 'dominant 7th', symbol: '7', intervals: [0, 4, 7, 10], optional: [7] },
+  { id: 'major7', name: 'major 7th', symbol: 'maj7', intervals: [0, 4, 7, 11], optional: [7] },
+  { id: 'minor7', name: 'minor 7th', symbol: 'm7', intervals: [0, 3, 7, 10], optional: [7] },
+  {
+    id: 'minorMajor7',
+    name: 'minor major 7th',
+    symbol: 'm(maj7)',
+    intervals: [0, 3, 7, 11],
+    optional: [7],
+  },
+  { id: 'halfDiminished7', name: 'half-diminished 7th', symbol: 'm7b5', intervals: [0, 3, 6, 10] },
+  { id: 'diminished7', name: 'diminished 7th', symbol: 'dim7', intervals: [0, 3, 6, 9] },
+  { id: 'dominant7sus4', name: '7sus4', symbol: '7sus4', intervals: [0, 5, 7, 10], optional: [7] },
+  {
+    id: 'dominant9',
+    name: 'dominant 9th',
+    symbol: '9',
+    intervals: [0, 4, 7, 10, 2],
+    optional: [7],
+  },
+  { id: 'major9', name: 'major 9th', symbol: 'maj9', intervals: [0, 4, 7, 11, 2], optional: [7] },
+  { id: 'minor9', name: 'minor 9th', symbol: 'm9', intervals: [0, 3, 7, 10, 2], optional: [7] },
+  {
+    id: 'dominant11',
+    name: 'dominant 11th',
+    symbol: '11',
+    intervals: [0, 4, 7, 10, 2, 5],
+    optional: [4, 7, 2],
+  },
+  {
+    id: 'minor11',
+    name: 'minor 11th',
+    symbol: 'm11',
+    intervals: [0, 3, 7, 10, 2, 5],
+    optional: [7, 2],
+  },
+  {
+    id: 'dominant13',
+    name: 'dominant 13th',
+    symbol: '13',
+    intervals: [0, 4, 7, 10, 2, 9],
+    optional: [7, 2],
+  },
+  {
+    id: 'major13',
+    name: 'major 13th',
+    symbol: 'maj13',
+    intervals: [0, 4, 7, 11, 2, 9],
+    optional: [7, 2],
+  },
+  {
+    id: 'minor13',
+    name: 'minor 13th',
+    symbol: 'm13',
+    intervals: [0, 3, 7, 10, 2, 9],
+    optional: [7, 2],
+  },
+  { id: 'dominant7flat5', name: '7♭5', symbol: '7b5', intervals: [0, 4, 6, 10] },
+  { id: 'dominant7sharp5', name: '7♯5', symbol: '7#5', intervals: [0, 4, 8, 10] },
+  { id: 'dominant7flat9', name: '7♭9', symbol: '7b9', intervals: [0, 4, 7, 10, 1], optional: [7] },
+  { id: 'dominant7sharp9', name: '7♯9', symbol: '7#9', intervals: [0, 4, 7, 10, 3], optional: [7] },
+  {
+    id: 'dominant7sharp11',
+    name: '7♯11',
+    symbol: '7#11',
+    intervals: [0, 4, 7, 10, 6],
+    optional: [7],
+  },
+  {
+    id: 'dominant7flat13',
+    name: '7♭13',
+    symbol: '7b13',
+    intervals: [0, 4, 7, 10, 8],
+    optional: [7],
+  },
+  {
+    id: 'dominant7flat9flat13',
+    name: '7♭9♭13',
+    symbol: '7b9b13',
+    intervals: [0, 4, 7, 10, 1, 8],
+    optional: [7],
+  },
+  {
+    id: 'dominant7sharp9sharp5',
+    name: '7♯9♯5',
+    symbol: '7#9#5',
+    intervals: [0, 4, 8, 10, 3],
+  },
+  {
+    id: 'dominant7flat9sharp11',
+    name: '7♭9♯11',
+    symbol: '7b9#11',
+    intervals: [0, 4, 7, 10, 1, 6],
+    optional: [7],
+  },
+  {
+    id: 'dominant7alt',
+    name: 'altered dominant',
+    symbol: '7alt',
+    intervals: [0, 4, 10, 1, 3, 8, 6],
+    optional: [6],
+  },
+];
+
+// Confidence factors for the bass note
+const INVERSION_FACTOR = 0.9;
+const SLASH_BASS_FACTOR = 0.85;
+
+// An omitted optional tone costs this share of a missing note
+const OPTIONAL_TONE_COST = 0.5;
+
+const INTERVAL_NAMES = {
+  0: 'root',
+  1: '♭9',
+  2: '9',
+  3: '♭3',
+  4: '3',
+  5: '11',
+  6: '♭5',
+  7: '5',
+  8: '♯5',
+  9: '6',
+  10: '♭7',
+  11: '7',
+};
+
+const toPitchClass = midiNote => ((midiNote % 12) + 12) % 12;
+
+/**
+ * Get the pitch classes of a set of notes
+ * @param {Array<string|number>} notes - Note names or MIDI numbers
+ * @returns {Array<number>} Sorted unique pitch classes (0 = C)
+ */
+export const getPitchClassSet = notes =>
+  [
+    ...new Set(
+      notes
+        .map(resolvePlayedNote)
+        .filter(note => note !== null)
+        .map(toPitchClass)
+    ),
+  ].sort((a, b) => a - b);
+
+/**
+ * Spell the note an interval above a root
+ * @param {string} rootName - Spelled root, e.g. "Bb"
+ * @param {number} root - Root pitch class
+ * @param {number} interval - Semitones above the root
+ * @returns {string} Note name on the interval's letter, e.g. "D" for a third above "Bb"
+ */
+const spellInterval = (rootName, root, interval) => {
+  const letter = (LETTERS.indexOf(rootName[0]) + INTERVAL_LETTER_STEPS[interval % 12]) % 7;
+  const difference = ((root + interval - LETTER_PITCH_CLASSES[letter] + 18) % 12) - 6;
+  return `${LETTERS[letter]}${difference > 0 ? '#'.repeat(difference) : 'b'.repeat(-difference)}`;
+};
+
+/**
+ * Spell the root of a chord
+ * @param {Object} quality - Entry of CHORD_QUALITIES
+ * @param {number} root - Root pitch class
+ * @param {boolean|null} preferFlats - Flats or sharps from the key context, or null
+ * @returns {string} Root name
+ */
+const spellRoot = (quality, root, preferFlats) => {
+  const sharpName = PITCH_CLASS_NAMES[root];
+  const flatName = FLAT_PITCH_CLASS_NAMES[root];
+  if (sharpName === flatName) return sharpName;
+  if (preferFlats !== null) return preferFlats ? flatName : sharpName;
+  const countAccidentals = rootName =>
+    quality.intervals.reduce(
+      (count, interval) => count + spellInterval(rootName, root, interval).length - 1,
+      0
+    );
+  return countAccidentals(flatName) < countAccidentals(sharpName) ? flatName : sharpName;
+};
+
+/**
+ * Rate a chord quality on a root against the sounding pitch classes
+ * @param {Object} quality - Entry of CHORD_QUALITIES
+ * @param {number} root - Root pitch class
+ * @param {Set<number>} pitchClasses - Sounding pitch classes
+ * @param {number} bass - Bass pitch class
+ * @param {boolean|null} preferFlats - Flats or sharps from the key context, or null
+ * @returns {Object|null} Candidate, or null when a required tone is missing
+ */
+const rateQuality = (quality, root, pitchClasses, bass, preferFlats) => {
+  const optional = quality.optional || [];
+  const chordTones = quality.intervals.map(interval => toPitchClass(root + interval));
+
+  const missing = quality.intervals.filter(
+    (interval, index) => !pitchClasses.has(chordTones[index])
+  );
+  if (missing.some(interval => !optional.includes(interval))) return null;
+
+  const extra = [...pitchClasses].filter(
+    pitchClass => !chordTones.includes(pitchClass) && pitchClass !== bass
+  );
+  const bassIndex = chordTones.indexOf(bass);
+
+  const covered = quality.intervals.length - missing.length;
+  let confidence = covered / (covered + missing.length * OPTIONAL_TONE_COST + extra.length);
+  if (bassIndex > 0) confidence *= INVERSION_FACTOR;
+  if (bassIndex < 0) confidence *= SLASH_BASS_FACTOR;
+
+  const rootName = spellRoot(quality, root, preferFlats);
+  // A bass outside the chord follows the key, or else the root's accidental
+  const useFlats = preferFlats ?? rootName.includes('b');
+  const bassName =
+    bassIndex >= 0
+      ? spellInterval(rootName, root, quality.intervals[bassIndex])
+      : (useFlats ? FLAT_PITCH_CLASS_NAMES : PITCH_CLASS_NAMES)[bass];
+  return {
+    root,
+    rootName,
+    quality: quality.id,
+    qualityName: quality.name,
+    bass,
+    bassName,
+    // 0 for root position, 1 for the third in the bass...; null when the bass is not a chord tone
+    inversion: bassIndex >= 0 ? bassIndex : null,
+    symbol: `${rootName}${quality.symbol}${bass !== root ? `/${bassName}` : ''}`,
+    missing: missing.map(interval => INTERVAL_NAMES[interval]),
+    extra: extra.map(pitchClass => PITCH_CLASS_NAMES[pitchClass]),
+    confidence: Math.round(confidence * 1000) / 1000,
+  };
+};
+
+/**
+ * Get the chords a set of notes may form, best first
+ * @param {Array<string|number>} notes - Note names or MIDI numbers, in any octave
+ * @param {Object} options - Recognition options
+ * @param {number} options.maxCandidates - Most candidates to return (default: 5)
+ * @param {number} options.minConfidence - Lowest confidence to return (default: 0.5)
+ * @param {boolean} options.preferFlats - Spell black-key roots as flats (true) or sharps (false),
+ *   e.g. from the key; null picks the spelling with fewer accidentals (default: null)
+ * @returns {Array} Candidates as { root, rootName, quality, qualityName, bass, bassName,
+ *   inversion, symbol, missing, extra, confidence }
+ */
+export const getChordCandidates = (
+  notes,
+  { maxCandidates = 5, minConfidence = 0.5, preferFlats = null } = {}
+) => {
+  const midiNotes = notes.map(resolvePlayedNote).filter(note => note !== null);
+  if (midiNotes.length < 2) return [];
+
+  const pitchClasses = new Set(midiNotes.map(toPitchClass));
+  const bass = toPitchClass(Math.min(...midiNotes));
+
+  const candidates = [];
+  pitchClasses.forEach(root => {
+    CHORD_QUALITIES.forEach(quality => {
+      const candidate = rateQuality(quality, root, pitchClasses, bass, preferFlats);
+      if (candidate && candidate.confidence >= minConfidence) candidates.push(candidate);
+    });
+  });
+
+  // Ties go to the quality that explains the notes with fewer tones
+  return candidates
+    .sort(
+      (a, b) =>
+        b.confidence - a.confidence ||
+        CHORD_QUALITIES.findIndex(quality => quality.id === a.quality) -
+          CHORD_QUALITIES.findIndex(quality => quality.id === b.quality)
+    )
+    .slice(0, maxCandidates);
+};
+
+/**
+ * Get the most likely chord of a set of notes
+ * @param {Array<string|number>} notes - Note names or MIDI numbers, in any octave
+ * @param {Object} options - Recognition options
+ * @param {boolean} options.preferFlats - Spelling of black-key roots (see getChordCandidates)
+ * @returns {Object|null} Best candidate (see getChordCandidates), or null if none fits
+ */
+export const identifyChord = (notes, { preferFlats = null } = {}) =>
+  getChordCandidates(notes, { maxCandidates: 1, preferFlats })[0] || null;
+
+export default getChordCandidates;
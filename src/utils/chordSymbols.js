@@ -0,0 +1,352 @@
+// src/utils/chordSymbols.js
+import { CHORD_QUALITIES } from './chordRecognition';
+import { getMidiNoteName } from './midiUtils';
+import { resolvePlayedNote } from './practiceSteps';
+
+/**
+ * Chord Symbols
+ *
+ * Parses chord symbols such as "Cmaj7", "F#m7b5/A" or "Bb13#11" into a root,
+ * a bass and the chord's intervals, and voices them as MIDI notes. Intervals
+ * are semitones above the root in stacking order (root, third, fifth, seventh,
+ * extensions), with extensions above the octave (9 = 14, 11 = 17, 13 = 21).
+ *
+ * Each chord is given the recognizer's quality with the same tones. A chord
+ * that has none, such as "Bb13#11" or "G7alt", gets the quality covering most
+ * of its tones, with the other tones listed as alterations (13 with #11).
+ */
+
+export const CHORD_VOICINGS = {
+  CLOSE: 'close',
+  ROOT: 'root',
+  DROP_2: 'drop2',
+  OPEN: 'open',
+};
+
+const NOTE_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Alterations replace the tone they alter
+const ALTERATIONS = {
+  b5: { replaces: [7], interval: 6 },
+  '#5': { replaces: [7], interval: 8 },
+  b9: { replaces: [14], interval: 13 },
+  '#9': { replaces: [14], interval: 15 },
+  '#11': { replaces: [17], interval: 18 },
+  b13: { replaces: [21], interval: 20 },
+};
+
+const ADDED_TONES = { 2: 2, 4: 5, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+// Names of the tones a chord may have beyond its quality
+const TONE_NAMES = {
+  1: 'b9',
+  2: '2',
+  3: '#9',
+  5: '4',
+  6: 'b5',
+  8: '#5',
+  9: '6',
+  10: '7',
+  11: 'maj7',
+  13: 'b9',
+  14: '9',
+  15: '#9',
+  17: '11',
+  18: '#11',
+  20: 'b13',
+  21: '13',
+};
+
+/**
+ * Parse a note letter with an optional accidental
+ * @param {string} name - e.g. "F#", "Bb"
+ * @returns {number} Pitch class (0 = C)
+ */
+const toPitchClass = name => {
+  const accidental = name.slice(1);
+  const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+  return (NOTE_PITCH_CLASSES[name[0].toUpperCase()] + shift + 12) % 12;
+};
+
+/**
+ * Find the recognizer's quality for a set of intervals
+ * @param {Array<number>} intervals - Intervals above the root
+ * @returns {Object|null} { quality, alterations }: the entry of CHORD_QUALITIES with the
+ *   same tones, allowing its optional tones to be left out; or else the entry covering
+ *   most tones, with the names of the others (e.g. ['#11']). null if no entry is contained
+ *   in the chord.
+ */
+const findQuality = intervals => {
+  const pitchClasses = new Set(intervals.map(interval => interval % 12));
+  const isContained = entry =>
+    entry.intervals.every(
+      interval => pitchClasses.has(interval % 12) || (entry.optional || []).includes(interval)
+    );
+  const getCovered = entry =>
+    entry.intervals.filter(interval => pitchClasses.has(interval % 12)).length;
+
+  const contained = CHORD_QUALITIES.filter(isContained);
+  const fits = contained.filter(entry => getCovered(entry) === pitchClasses.size);
+  const exact = fits.find(entry => entry.intervals.length === pitchClasses.size);
+  if (exact || fits.length > 0) return { quality: exact || fits[0], alterations: [] };
+
+  // The first of the qualities covering most tones
+  const closest = contained.reduce(
+    (best, entry) => (!best || getCovered(entry) > getCovered(best) ? entry : best),
+    null
+  );
+  if (!closest) return null;
+  const tones = closest.intervals.map(interval => interval % 12);
+  return {
+    quality: closest,
+    alterations: intervals
+      .filter(interval => !tones.includes(interval % 12))
+      .map(interval => TONE_NAMES[interval] || String(interval)),
+  };
+};
+
+/**
+ * Parse a chord symbol
+ * @param {string} symbol - Chord symbol, e.g. "Dm7", "C/E", "G7#9", "Bb13#11", "F#m7b5/A"
+ * @returns {Object} { symbol, root, rootName, bass, bassName, intervals, quality, qualityName,
+ *   alterations }; alterations name the tones beyond the quality (see findQuality)
+ * @throws {Error} If the symbol cannot be read
+ */
+export const parseChordSymbol = symbol => {
+  const normalized = String(symbol)
+    .trim()
+    .replace(/♯/g, '#')
+    .replace(/♭/g, 'b')
+    .replace(/Δ/g, 'maj')
+    .replace(/[°o](?=7|$)/g, 'dim')
+    .replace(/ø7?/g, 'm7b5')
+    .replace(/[\s(),]/g, '');
+
+  const match = normalized.match(/^([A-G][#b]?)(.*?)(?:\/([A-G][#b]?))?$/);
+  if (!match) {
+    throw new Error(`Invalid chord symbol: ${symbol}`);
+  }
+  const [, rootName, suffix, bassName] = match;
+
+  let rest = suffix;
+  const take = pattern => {
+    const found = rest.match(pattern);
+    if (!found) return null;
+    rest = rest.slice(found[0].length);
+    return found;
+  };
+
+  let third = 4;
+  let fifth = 7;
+  let seventh = null;
+  let majorSeventh = false;
+  let diminished = false;
+  const extensions = [];
+
+  if (take(/^5$/)) {
+    third = null;
+  } else if (take(/^(maj|Maj|MAJ|M)(?=\d|$)/)) {
+    majorSeventh = true;
+  } else if (take(/^(min|mi|m|-)/)) {
+    third = 3;
+    if (take(/^(maj|Maj|M)/)) majorSeventh = true;
+  } else if (take(/^dim/)) {
+    third = 3;
+    fifth = 6;
+    diminished = true;
+  } else if (take(/^(aug|\+)/)) {
+    fifth = 8;
+  }
+
+  const number = take(/^(6\/9|69|13|11|9|7|6)/);
+  if (number) {
+    const degree = number[0];
+    if (degree === '6' || degree === '6/9' || degree === '69') {
+      extensions.push(9);
+      if (degree !== '6') extensions.push(14);
+    } else {
+      seventh = majorSeventh ? 11 : diminished ? 9 : 10;
+      if (degree !== '7') extensions.push(14);
+      if (degree === '11' || (degree === '13' && third === 3)) extensions.push(17);
+      if (degree === '13') extensions.push(21);
+      // The third clashes with the 11th of a major or dominant 11th chord
+      if (degree === '11' && third === 4) third = null;
+    }
+  }
+
+  // Suspensions, added tones, omissions and alterations in any order
+  while (rest.length > 0) {
+    let token;
+    if ((token = take(/^sus([24]?)/))) {
+      third = token[1] === '2' ? 2 : 5;
+    } else if ((token = take(/^add(2|4|6|9|11|13)/))) {
+      extensions.push(ADDED_TONES[token[1]]);
+    } else if ((token = take(/^(no|omit)(3|5)/))) {
+      if (token[2] === '3') third = null;
+      else fifth = null;
+    } else if (take(/^alt/)) {
+      fifth = null;
+      extensions.splice(0, extensions.length, 13, 15, 20);
+      if (seventh === null) seventh = 10;
+    } else if ((token = take(/^([b#+-])(5|9|11|13)/))) {
+      const accidental = token[1] === '+' ? '#' : token[1] === '-' ? 'b' : token[1];
+      const alteration = ALTERATIONS[`${accidental}${token[2]}`];
+      if (!alteration) {
+        throw new Error(`Invalid chord symbol: ${symbol}`);
+      }
+      if (alteration.replaces.includes(7)) {
+        fifth = alteration.interval;
+      } else {
+        const replaced = extensions.findIndex(interval => alteration.replaces.includes(interval));
+        if (replaced >= 0) extensions.splice(replaced, 1);
+        extensions.push(alteration.interval);
+      }
+    } else {
+      throw new Error(`Invalid chord symbol: ${symbol}`);
+    }
+  }
+
+  const intervals = [
+    0,
+    ...[third, fifth, seventh].filter(interval => interval !== null),
+    ...[...new Set(extensions)].sort((a, b) => a - b),
+  ];
+
+  const found = findQuality(intervals);
+  const quality = found ? found.quality : null;
+
+  return {
+    symbol: normalized,
+    root: toPitchClass(rootName),
+    rootName,
+    bass: bassName ? toPitchClass(bassName) : null,
+    bassName: bassName || null,
+    intervals,
+    quality: quality ? quality.id : null,
+    qualityName: quality ? quality.name : null,
+    alterations: found ? found.alterations : [],
+  };
+};
+
+/**
+ * Voice a chord as MIDI notes
+ * @param {string|Object} chord - Chord symbol, or a chord from parseChordSymbol
+ * @param {Object} options - Voicing options
+ * @param {string} options.voicing - 'close', 'root', 'drop2' ('drop-2') or 'open' (default: 'close')
+ * @param {number} options.inversion - Chord tone in the bass: 0 root, 1 third, 2 fifth... (close and drop2, default: 0)
+ * @param {string|number} options.register - Lowest chord note is at or just above this note (default: 'C4');
+ *   the bass of a slash chord goes below it
+ * @returns {Array<number>} MIDI notes, lowest first
+ * @throws {Error} If the symbol or voicing cannot be read
+ */
+export const chordSymbolToNotes = (
+  chord,
+  { voicing = CHORD_VOICINGS.CLOSE, inversion = 0, register = 'C4' } = {}
+) => {
+  const parsed = typeof chord === 'string' ? parseChordSymbol(chord) : chord;
+  const { root, bass, intervals } = parsed;
+  const lowest = resolvePlayedNote(register) ?? 60;
+  const style = voicing === 'drop-2' ? CHORD_VOICINGS.DROP_2 : voicing;
+  if (!Object.values(CHORD_VOICINGS).includes(style)) {
+    throw new Error(`Invalid voicing: ${voicing}`);
+  }
+
+  let notes;
+  if (style === CHORD_VOICINGS.OPEN) {
+    // Spread the close position: the third and seventh go up an octave
+    notes = intervals.map((interval, index) =>
+      interval < 12 && index % 2 === 1 ? root + interval + 12 : root + interval
+    );
+  } else {
+    // Stack the chord tones from the inverted bass upward, each above the last
+    const turns = style === CHORD_VOICINGS.ROOT ? 0 : inversion % intervals.length;
+    const order = [...intervals.slice(turns), ...intervals.slice(0, turns)];
+    notes = [];
+    order.forEach(interval => {
+      const pitchClass = (root + interval) % 12;
+      const previous = notes.length > 0 ? notes[notes.length - 1] : pitchClass - 1;
+      notes.push(previous + 1 + ((pitchClass - previous - 1 + 120) % 12));
+    });
+    if (style === CHORD_VOICINGS.DROP_2 && notes.length >= 3) {
+      notes[notes.length - 2] -= 12;
+    }
+  }
+  notes.sort((a, b) => a - b);
+
+  // Move the voicing into the register
+  const shift = lowest + ((((notes[0] - lowest) % 12) + 12) % 12) - notes[0];
+  notes = notes.map(note => note + shift);
+
+  if (bass !== null && notes[0] % 12 !== bass) {
+    notes.unshift(notes[0] - 1 - ((notes[0] - 1 - bass + 120) % 12));
+  }
+  return notes;
+};
+
+/**
+ * Creates functions that show and play chords on a piano
+ *
+ * The handlers are read from a ref, so the functions keep working when the
+ * component re-renders with new handler functions.
+ *
+ * @param {Object} handlersRef - Ref whose current value holds highlightNote,
+ *   unhighlightNote and playNotes
+ * @returns {Object} { showChord, hideChord, playChord }
+ */
+export const createChordFunctions = handlersRef => {
+  let shownNotes = [];
+
+  const getNotes = (symbol, options) => {
+    try {
+      return chordSymbolToNotes(symbol, options);
+    } catch (error) {
+      console.error('Error voicing chord:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Remove the highlight of the chord shown by showChord
+   */
+  const hideChord = () => {
+    shownNotes.forEach(note => handlersRef.current.unhighlightNote(note));
+    shownNotes = [];
+  };
+
+  /**
+   * Highlight the notes of a chord, replacing the chord shown before
+   * @param {string} symbol - Chord symbol, e.g. "Dm7"
+   * @param {Object} options - Voicing options (see chordSymbolToNotes)
+   * @returns {Array<string>|null} Highlighted note names, or null for an invalid symbol
+   */
+  const showChord = (symbol, options) => {
+    const notes = getNotes(symbol, options);
+    if (!notes) return null;
+    hideChord();
+    shownNotes = notes.map(getMidiNoteName);
+    shownNotes.forEach(note => handlersRef.current.highlightNote(note));
+    return [...shownNotes];
+  };
+
+  /**
+   * Play the notes of a chord
+   * @param {string} symbol - Chord symbol, e.g. "Dm7"
+   * @param {Object} options - Voicing options (see chordSymbolToNotes), plus:
+   * @param {number} options.duration - Ms to hold the chord (default: 1000)
+   * @param {number} options.velocity - Velocity, 0-1 (default: 0.7)
+   * @returns {Array<number>|null} Played MIDI notes, or null for an invalid symbol
+   */
+  const playChord = (symbol, { duration = 1000, velocity = 0.7, ...options } = {}) => {
+    const notes = getNotes(symbol, options);
+    if (!notes) return null;
+    // Starting the audio may fail; playNotes reports that by rejecting
+    Promise.resolve(handlersRef.current.playNotes(notes, duration, velocity)).catch(error =>
+      console.error('Error playing chord:', error)
+    );
+    return notes;
+  };
+
+  return { showChord, hideChord, playChord };
+};
+
+export default parseChordSymbol;
@@ -0,0 +1,340 @@
+// src/utils/harmonyAnalysis.js
+import { CHORD_QUALITIES, identifyChord } from './chordRecognition';
+import { parseChordSymbol } from './chordSymbols';
+import { detectKey } from './keyDetection';
+import { eventsToNotes } from './recordingNotes';
+import { getScale } from './scales';
+
+/**
+ * Harmony Analysis
+ *
+ * Segments a recording into chords over time and labels each chord with a
+ * Roman numeral in a key, such as ii7 - V7 - Imaj7. A new chord may start
+ * wherever notes are struck together; notes struck over held ones (a melody
+ * over a chord) keep the chord when the held notes still form it. The key is
+ * given or detected from the recording.
+ *
+ * Numerals are relative to the major scale in major keys and the harmonic
+ * minor scale in minor keys, with accidentals for roots outside it (bVII,
+ * bII). Case follows the third: minor and diminished chords are lower case.
+ * A dominant chord with a note outside the key, whose root lies a fifth above
+ * a major or minor chord of the key, is labelled as a secondary dominant of
+ * that chord (V7/ii).
+ */
+
+export const HARMONY_ANALYSIS_FORMAT = 'react-piano-keyboard/harmony-analysis';
+export const HARMONY_ANALYSIS_VERSION = 1;
+
+// Numerals of the roots a number of semitones above the tonic
+const NUMERALS = {
+  major: ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+  minor: ['I', 'bII', 'II', 'III', '#III', 'IV', '#IV', 'V', 'VI', '#VI', 'bVII', 'VII'],
+};
+
+// Harmonic function of the roots a number of semitones above the tonic
+const FUNCTIONS = {
+  major: {
+    0: 'tonic',
+    1: 'predominant',
+    2: 'predominant',
+    4: 'tonic',
+    5: 'predominant',
+    7: 'dominant',
+    9: 'tonic',
+    11: 'dominant',
+  },
+  minor: {
+    0: 'tonic',
+    1: 'predominant',
+    2: 'predominant',
+    3: 'tonic',
+    5: 'predominant',
+    7: 'dominant',
+    8: 'predominant',
+    11: 'dominant',
+  },
+};
+
+// Diatonic triads that a secondary dominant may lead to, as numerals
+const TONICIZABLE = {
+  major: { 2: 'ii', 4: 'iii', 5: 'IV', 7: 'V', 9: 'vi' },
+  minor: { 3: 'III', 5: 'iv', 7: 'V', 8: 'VI' },
+};
+
+// Numeral suffixes of the chord qualities; minor qualities are shown by lower case
+const QUALITY_SUFFIXES = {
+  power: '5',
+  major: '',
+  minor: '',
+  diminished: '°',
+  augmented: '+',
+  sus2: 'sus2',
+  sus4: 'sus4',
+  major6: '6',
+  minor6: '6',
+  sixNine: '6/9',
+  minorSixNine: '6/9',
+  add9: 'add9',
+  minorAdd9: 'add9',
+  dominant7: '7',
+  major7: 'maj7',
+  minor7: '7',
+  minorMajor7: '(maj7)',
+  halfDiminished7: 'ø7',
+  diminished7: '°7',
+  dominant7sus4: '7sus4',
+  dominant9: '9',
+  major9: 'maj9',
+  minor9: '9',
+  dominant11: '11',
+  minor11: '11',
+  dominant13: '13',
+  major13: 'maj13',
+  minor13: '13',
+  dominant7flat5: '7b5',
+  dominant7sharp5: '7#5',
+  dominant7flat9: '7b9',
+  dominant7sharp9: '7#9',
+  dominant7sharp11: '7#11',
+  dominant7flat13: '7b13',
+};
+
+/**
+ * Read a key
+ * @param {string|Object} key - "Bb major", "C# minor", a key from detectKey or { tonic, mode }
+ * @returns {Object|null} { tonic, tonicName, mode, name, pitchClasses }
+ */
+const resolveKey = key => {
+  let tonic = key;
+  let mode = 'major';
+  if (typeof key === 'string') {
+    const [tonicName, modeName = 'major'] = key.trim().split(/\s+/);
+    tonic = tonicName;
+    mode = modeName.toLowerCase();
+  } else if (key && typeof key === 'object') {
+    tonic = key.tonicName ?? key.tonic;
+    mode = key.mode || 'major';
+  }
+
+  if (mode !== 'major' && mode !== 'minor') {
+    console.error('Unknown key mode:', mode);
+    return null;
+  }
+  const scale = getScale(tonic, mode === 'major' ? 'major' : 'harmonicMinor');
+  if (!scale) return null;
+  return {
+    tonic: scale.tonic,
+    tonicName: scale.tonicName,
+    mode,
+    name: `${scale.tonicName} ${mode}`,
+    // Minor keys use both the raised and the natural seventh
+    pitchClasses:
+      mode === 'minor' ? [...scale.pitchClasses, (scale.tonic + 10) % 12] : scale.pitchClasses,
+  };
+};
+
+/**
+ * Get the Roman numeral of a chord in a key
+ * @param {string|Object} chord - Chord symbol, or a chord from identifyChord or parseChordSymbol
+ * @param {string|Object} key - "Bb major", "C# minor", a key from detectKey or { tonic, mode }
+ * @returns {Object|null} { numeral, degree, function, secondaryOf }, or null for an unknown
+ *   chord or key. degree is the root's distance from the tonic in semitones; secondaryOf is
+ *   the numeral a secondary dominant leads to.
+ */
+export const getRomanNumeral = (chord, key) => {
+  const resolvedKey = resolveKey(key);
+  let parsed = chord;
+  if (typeof chord === 'string') {
+    try {
+      parsed = parseChordSymbol(chord);
+    } catch (error) {
+      console.error('Error reading chord:', error);
+      return null;
+    }
+  }
+  const quality = parsed && CHORD_QUALITIES.find(entry => entry.id === parsed.quality);
+  if (!resolvedKey || !quality) return null;
+
+  const { mode } = resolvedKey;
+  const degree = (parsed.root - resolvedKey.tonic + 12) % 12;
+  const intervals = (parsed.intervals || quality.intervals).map(interval => interval % 12);
+  const isMinor = intervals.includes(3) && !intervals.includes(4);
+  // Tones beyond the quality of a parsed symbol, as in V13#11
+  const alterations = parsed.alterations ? parsed.alterations.join('') : '';
+  const suffix = `${QUALITY_SUFFIXES[quality.id] ?? quality.symbol}${alterations}`;
+
+  const caseNumeral = numeral => (isMinor ? numeral.toLowerCase() : numeral);
+
+  // A dominant outside the key leading a fifth down to one of its chords
+  const isDominant =
+    quality.id === 'major' ||
+    (intervals.includes(10) && (intervals.includes(4) || quality.id === 'dominant7sus4'));
+  const isDiatonic = intervals.every(interval =>
+    resolvedKey.pitchClasses.includes((parsed.root + interval) % 12)
+  );
+  const secondaryOf = TONICIZABLE[mode][(degree + 5) % 12];
+  if (isDominant && !isDiatonic && secondaryOf) {
+    return {
+      numeral: `V${suffix}/${secondaryOf}`,
+      degree,
+      function: 'secondary dominant',
+      secondaryOf,
+    };
+  }
+
+  return {
+    numeral: `${caseNumeral(NUMERALS[mode][degree])}${suffix}`,
+    degree,
+    function: FUNCTIONS[mode][degree] || null,
+    secondaryOf: null,
+  };
+};
+
+/**
+ * Get the notes of a recording
+ * @param {Array} recording - Recorder events, or notes as { midi, start, duration }
+ * @returns {Array} Notes sorted by start
+ */
+const getRecordingNotes = recording =>
+  recording.length > 0 && recording[0].type
+    ? eventsToNotes(recording)
+    : [...recording].sort((a, b) => a.start - b.start);
+
+/**
+ * Split notes into segments that start where notes are struck together
+ * @param {Array} notes - Notes sorted by start
+ * @param {number} chordWindow - Onsets closer than this in ms are struck together
+ * @returns {Array} Segments as { start, end, struck, held }
+ */
+const segmentNotes = (notes, chordWindow) => {
+  const onsets = [];
+  notes.forEach(note => {
+    const last = onsets[onsets.length - 1];
+    if (last === undefined || note.start - last > chordWindow) onsets.push(note.start);
+  });
+
+  return onsets.map((start, index) => {
+    const nextStart = index + 1 < onsets.length ? onsets[index + 1] : Infinity;
+    const struck = notes.filter(note => note.start >= start && note.start < nextStart);
+    // The segment ends early when all notes are released before the next onset
+    const soundingEnd = Math.max(
+      start,
+      ...notes
+        .filter(note => note.start < nextStart && note.start + note.duration > start)
+        .map(note => note.start + note.duration)
+    );
+    const end = Math.min(nextStart, soundingEnd);
+    // Earlier notes still sounding for most of the segment
+    const held = notes.filter(
+      note =>
+        note.start < start && Math.min(note.start + note.duration, end) - start >= (end - start) / 2
+    );
+    return { start, end, struck, held };
+  });
+};
+
+/**
+ * Analyze the harmony of a recording
+ * @param {Array} recording - Recorder events, or notes as { midi, start, duration }
+ * @param {Object} options - Analysis options
+ * @param {string|Object} options.key - Key, e.g. "Bb major" (default: detected from the recording)
+ * @param {number} options.chordWindow - Onsets closer than this in ms are one chord (default: 80)
+ * @param {number} options.minDuration - Shorter chords are left out as passing harmony (default: 200)
+ * @returns {Object|null} { key, keySource, timeline, progression }, or null without a key.
+ *   A recording without notes and without a given key has a null key and an empty timeline.
+ *   Timeline entries are { start, end, duration, notes, symbol, rootName, quality, qualityName,
+ *   bassName, inversion, confidence, numeral, degree, function, secondaryOf }, times in ms.
+ */
+export const analyzeHarmony = (
+  recording,
+  { key = null, chordWindow = 80, minDuration = 200 } = {}
+) => {
+  const notes = getRecordingNotes(recording).filter(note => note.midi !== null);
+  if (!key && notes.length === 0) {
+    return { key: null, keySource: null, timeline: [], progression: '' };
+  }
+  const detectedKey = key ? null : detectKey(notes);
+  const resolvedKey = key || detectedKey ? resolveKey(key || detectedKey) : null;
+  if (!resolvedKey) {
+    console.error('No key for the harmony analysis');
+    return null;
+  }
+
+  const chords = [];
+  segmentNotes(notes, chordWindow).forEach(({ start, end, struck, held }) => {
+    const previous = chords[chords.length - 1];
+    const heldChord = held.length > 0 ? identifyChord(held.map(note => note.midi)) : null;
+    const sounding = [...held, ...struck];
+    const chord =
+      previous && heldChord && heldChord.symbol === previous.symbol
+        ? heldChord
+        : identifyChord(sounding.map(note => note.midi));
+    if (!chord) return;
+
+    if (previous && previous.symbol === chord.symbol && previous.end >= start) {
+      previous.end = end;
+      previous.midiNotes = [...new Set([...previous.midiNotes, ...struck.map(note => note.midi)])];
+      return;
+    }
+    chords.push({ ...chord, start, end, midiNotes: sounding.map(note => note.midi) });
+  });
+
+  // Leave out passing chords and join what they separated
+  const timeline = [];
+  chords
+    .filter(chord => chord.end - chord.start >= minDuration)
+    .forEach(chord => {
+      const previous = timeline[timeline.length - 1];
+      if (previous && previous.symbol === chord.symbol) {
+        previous.end = chord.end;
+        previous.duration = previous.end - previous.start;
+        return;
+      }
+      timeline.push({
+        start: chord.start,
+        end: chord.end,
+        duration: chord.end - chord.start,
+        notes: [...new Set(chord.midiNotes)].sort((a, b) => a - b),
+        symbol: chord.symbol,
+        rootName: chord.rootName,
+        quality: chord.quality,
+        qualityName: chord.qualityName,
+        bassName: chord.bassName,
+        inversion: chord.inversion,
+        confidence: chord.confidence,
+        ...getRomanNumeral(chord, resolvedKey),
+      });
+    });
+
+  const keyInfo = {
+    tonic: resolvedKey.tonic,
+    tonicName: resolvedKey.tonicName,
+    mode: resolvedKey.mode,
+    name: resolvedKey.name,
+  };
+  return {
+    key: detectedKey ? { ...keyInfo, confidence: detectedKey.confidence } : keyInfo,
+    keySource: detectedKey ? 'detected' : 'given',
+    timeline,
+    progression: timeline.map(chord => chord.numeral).join(' – '),
+  };
+};
+
+/**
+ * Export a harmony analysis as JSON
+ * @param {Object} analysis - Analysis from analyzeHarmony
+ * @returns {string} JSON document with format and version fields
+ */
+export const exportHarmonyAnalysis = analysis =>
+  JSON.stringify(
+    {
+      format: HARMONY_ANALYSIS_FORMAT,
+      version: HARMONY_ANALYSIS_VERSION,
+      createdAt: new Date().toISOString(),
+      ...analysis,
+    },
+    null,
+    2
+  );
+
+export default analyzeHarmony;
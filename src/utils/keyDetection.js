@@ -0,0 +1,289 @@
+// src/utils/keyDetection.js
+import { resolvePlayedNote } from './practiceSteps';
+import { eventsToNotes } from './recordingNotes';
+
+/**
+ * Key Detection
+ *
+ * Estimates the key of a passage with the Krumhansl-Schmuckler algorithm: the
+ * time each pitch class sounds is correlated with a key profile (how strongly
+ * each degree belongs to a key) rotated to all 24 major and minor keys, and
+ * the best correlation wins. The detector does this over a sliding window of
+ * the notes just played, so the estimate follows modulations.
+ *
+ * The confidence is the best correlation, halved when the runner-up correlates
+ * as well, and rising to the full correlation as the runner-up falls behind.
+ */
+
+/**
+ * Key profiles, from the tonic up by semitone
+ */
+export const KEY_PROFILES = {
+  // Krumhansl and Kessler (1982), from probe-tone ratings
+  krumhansl: {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+  },
+  // Temperley (1999), which weighs the leading tone and the chromatic notes less
+  temperley: {
+    major: [5, 2, 3.5, 2, 4.5, 4, 2, 4.5, 2, 3.5, 1.5, 4],
+    minor: [5, 2, 3.5, 4.5, 2, 4, 2, 4.5, 3.5, 2, 1.5, 4],
+  },
+};
+
+// Tonic spellings as used in key signatures
+const MAJOR_TONIC_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_TONIC_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+// Gap to the runner-up's correlation at which the confidence is the full correlation
+const CONFIDENCE_MARGIN = 0.1;
+
+// Shortest time in ms a note counts for, so that short notes are heard
+const MIN_NOTE_WEIGHT = 100;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Correlate two 12-element vectors
+ * @returns {number} Pearson correlation, or 0 when either vector is flat
+ */
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / 12;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / 12;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < 12; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+};
+
+/**
+ * Describe a key
+ * @param {number} tonic - Tonic pitch class
+ * @param {string} mode - 'major' or 'minor'
+ * @returns {Object} { tonic, tonicName, mode, name, scale }
+ */
+const describeKey = (tonic, mode) => {
+  const tonicName = (mode === 'major' ? MAJOR_TONIC_NAMES : MINOR_TONIC_NAMES)[tonic];
+  return {
+    tonic,
+    tonicName,
+    mode,
+    name: `${tonicName} ${mode}`,
+    // Ready for getScale or the highlightScale prop
+    scale: { tonic: tonicName, type: mode === 'major' ? 'major' : 'naturalMinor' },
+  };
+};
+
+/**
+ * Get the time each pitch class sounds
+ * @param {Array} notes - Recorder events, notes as { midi, duration }, or note names and
+ *   MIDI numbers (each counting once)
+ * @returns {Array<number>} Weights of the 12 pitch classes (0 = C)
+ */
+export const getPitchClassWeights = notes => {
+  const weights = new Array(12).fill(0);
+  const list = notes.length > 0 && notes[0] && notes[0].type ? eventsToNotes(notes) : notes;
+  list.forEach(note => {
+    const midiNote = resolvePlayedNote(note && note.midi !== undefined ? note.midi : note);
+    if (midiNote === null) return;
+    const weight =
+      note && note.duration !== undefined ? Math.max(note.duration, MIN_NOTE_WEIGHT) : 1;
+    weights[((midiNote % 12) + 12) % 12] += weight;
+  });
+  return weights;
+};
+
+/**
+ * Rank the 24 major and minor keys against pitch-class weights
+ * @param {Array<number>} weights - Weights of the 12 pitch classes
+ * @param {Object} options - Detection options
+ * @param {string|Object} options.profile - 'krumhansl', 'temperley' or { major, minor } (default: 'krumhansl')
+ * @returns {Array} Keys as { tonic, tonicName, mode, name, scale, correlation }, best first
+ */
+export const getKeyCandidates = (weights, { profile = 'krumhansl' } = {}) => {
+  const profiles = typeof profile === 'string' ? KEY_PROFILES[profile] : profile;
+  if (!profiles) {
+    console.error('Unknown key profile:', profile);
+    return [];
+  }
+
+  const candidates = [];
+  ['major', 'minor'].forEach(mode => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = weights.map((_, index) => weights[(tonic + index) % 12]);
+      candidates.push({
+        ...describeKey(tonic, mode),
+        correlation: round(correlate(rotated, profiles[mode])),
+      });
+    }
+  });
+  return candidates.sort((a, b) => b.correlation - a.correlation);
+};
+
+/**
+ * Get the key from ranked candidates
+ * @param {Array} candidates - Keys from getKeyCandidates
+ * @returns {Object|null} Best key with its confidence, or null when nothing correlates
+ */
+const pickKey = candidates => {
+  const [best, runnerUp] = candidates;
+  if (!best || best.correlation <= 0) return null;
+  const clarity = Math.min(
+    1,
+    0.5 + (best.correlation - runnerUp.correlation) / (2 * CONFIDENCE_MARGIN)
+  );
+  return { ...best, confidence: round(best.correlation * clarity) };
+};
+
+/**
+ * Detect the key of a set of notes
+ * @param {Array} notes - Recorder events, notes as { midi, duration }, or note names and MIDI numbers
+ * @param {Object} options - Detection options
+ * @param {string|Object} options.profile - Key profile (default: 'krumhansl')
+ * @param {number} options.maxCandidates - Most alternative keys to return (default: 3)
+ * @returns {Object|null} { tonic, tonicName, mode, name, scale, correlation, confidence, candidates },
+ *   or null without notes
+ */
+export const detectKey = (notes, { profile = 'krumhansl', maxCandidates = 3 } = {}) => {
+  const candidates = getKeyCandidates(getPitchClassWeights(notes), { profile });
+  const key = pickKey(candidates);
+  return key ? { ...key, candidates: candidates.slice(0, maxCandidates) } : null;
+};
+
+/**
+ * Creates a detector that follows the key of notes as they are played
+ * @param {Object} options - Detector options
+ * @param {number} options.windowSize - Ms of recent playing the estimate is based on (default: 10000)
+ * @param {number} options.minPitchClasses - Distinct pitch classes needed for an estimate (default: 3)
+ * @param {string|Object} options.profile - Key profile (default: 'krumhansl')
+ * @param {Function} options.onKeyChange - Called with the new key (or null) when the estimate changes
+ * @returns {Object} Detector with methods for handling notes and reading the key
+ */
+export const createKeyDetector = ({
+  windowSize = 10000,
+  minPitchClasses = 3,
+  profile = 'krumhansl',
+  onKeyChange = null,
+} = {}) => {
+  // Sounding notes by MIDI number, with their start times
+  const heldNotes = new Map();
+  // Released notes as { midi, start, end }
+  let releasedNotes = [];
+  let currentKey = null;
+
+  /**
+   * Get the time each note sounded within the window
+   * @param {number} time - End of the window in ms
+   * @returns {Array} Notes as { midi, duration }
+   */
+  const getWindowNotes = time => {
+    const windowStart = time - windowSize;
+    releasedNotes = releasedNotes.filter(note => note.end > windowStart);
+    const held = [...heldNotes.entries()].flatMap(([midi, starts]) =>
+      starts.map(start => ({ midi, start, end: time }))
+    );
+    return [...releasedNotes, ...held].map(note => ({
+      midi: note.midi,
+      duration: note.end - Math.max(note.start, windowStart),
+    }));
+  };
+
+  /**
+   * Estimate the key of the notes in the window
+   * @param {number} time - End of the window in ms (default: now)
+   * @returns {Object|null} Key (see detectKey), or null with too few notes
+   */
+  const getKey = (time = Date.now()) => {
+    const notes = getWindowNotes(time);
+    const pitchClasses = new Set(notes.map(note => note.midi % 12));
+    if (pitchClasses.size < minPitchClasses) return null;
+    return detectKey(notes, { profile });
+  };
+
+  /**
+   * Re-estimate the key and report a change
+   * @param {number} time - End of the window in ms (default: now)
+   * @returns {Object|null} Current key
+   */
+  const update = (time = Date.now()) => {
+    const key = getKey(time);
+    const changed = (key && key.name) !== (currentKey && currentKey.name);
+    currentKey = key;
+    if (changed && onKeyChange) onKeyChange(key);
+    return key;
+  };
+
+  /**
+   * Handle a played note
+   * @param {string|number|Object} note - Note name, MIDI number or MIDI message
+   * @param {number} time - Time the note started in ms (default: now)
+   * @returns {Object|null} Current key
+   */
+  const handleNoteOn = (note, time = Date.now()) => {
+    const midiNote = resolvePlayedNote(note);
+    if (midiNote === null) return currentKey;
+    if (!heldNotes.has(midiNote)) heldNotes.set(midiNote, []);
+    heldNotes.get(midiNote).push(time);
+    return update(time);
+  };
+
+  /**
+   * Handle a released note
+   * @param {string|number|Object} note - Note name, MIDI number or MIDI message
+   * @param {number} time - Time the note ended in ms (default: now)
+   * @returns {Object|null} Current key
+   */
+  const handleNoteOff = (note, time = Date.now()) => {
+    const midiNote = resolvePlayedNote(note);
+    const starts = heldNotes.get(midiNote);
+    if (!starts || starts.length === 0) return currentKey;
+    releasedNotes.push({ midi: midiNote, start: starts.shift(), end: time });
+    if (starts.length === 0) heldNotes.delete(midiNote);
+    return update(time);
+  };
+
+  /**
+   * Handle the note messages among MIDI messages
+   *
+   * Messages are timed by their timestamp or recordTime, so update and getKey
+   * should then be given times on the same clock.
+   *
+   * @param {Object} message - MIDI message
+   * @returns {Object|null} Current key
+   */
+  const handleMidiMessage = message => {
+    const time = message.timestamp ?? message.recordTime ?? Date.now();
+    if (message.type === 'noteon' && message.velocity > 0) return handleNoteOn(message, time);
+    if (message.type === 'noteoff' || message.type === 'noteon') {
+      return handleNoteOff(message, time);
+    }
+    return currentKey;
+  };
+
+  /**
+   * Forget all notes
+   */
+  const reset = () => {
+    heldNotes.clear();
+    releasedNotes = [];
+    if (currentKey && onKeyChange) onKeyChange(null);
+    currentKey = null;
+  };
+
+  return {
+    handleNoteOn,
+    handleNoteOff,
+    handleMidiMessage,
+    update,
+    getKey,
+    getCurrentKey: () => currentKey,
+    reset,
+  };
+};
+
+export default detectKey;
@@ -0,0 +1,164 @@
+// src/utils/midiControllers.js
+import { getMidiNoteName } from './midiUtils';
+
+/**
+ * MIDI Controller Messages
+ *
+ * Builds the message objects used for control change, pitch bend and aftertouch
+ * throughout the library, from live input, MIDI files and recordings alike.
+ * Each message carries a normalized `value` (the range WebMidi uses) and the
+ * original 7-bit or 14-bit `rawValue`.
+ */
+
+// Controller numbers with a special meaning for the piano
+export const CONTROLLERS = {
+  MODULATION: 1,
+  SUSTAIN: 64,
+  SOSTENUTO: 66,
+  SOFT: 67,
+};
+
+const CONTROLLER_NAMES = {
+  [CONTROLLERS.MODULATION]: 'modulation',
+  [CONTROLLERS.SUSTAIN]: 'sustain',
+  [CONTROLLERS.SOSTENUTO]: 'sostenuto',
+  [CONTROLLERS.SOFT]: 'soft',
+};
+
+// Centre position of the 14-bit pitch bend range
+const PITCH_BEND_CENTER = 8192;
+
+/**
+ * Get the name used for a controller in message objects
+ * @param {number} controller - Controller number (0-127)
+ * @returns {string} 'sustain', 'soft', 'sostenuto', 'modulation' or 'cc<number>'
+ */
+export const getControllerName = controller => CONTROLLER_NAMES[controller] || `cc${controller}`;
+
+/**
+ * Create a control change message
+ * @param {number} controller - Controller number (0-127)
+ * @param {number} rawValue - Controller value (0-127)
+ * @returns {Object} Message with controller, value (0-1), rawValue, control name and isOn
+ */
+export const createControlChangeMessage = (controller, rawValue) => ({
+  type: 'controlchange',
+  controller,
+  value: rawValue / 127,
+  rawValue,
+  control: getControllerName(controller),
+  // Pedals count as pressed from the middle of their range
+  isOn: rawValue >= 64,
+});
+
+/**
+ * Create a pitch bend message
+ * @param {number} rawValue - 14-bit pitch bend value (0-16383, 8192 is centre)
+ * @returns {Object} Message with value (-1 to 1) and rawValue
+ */
+export const createPitchBendMessage = rawValue => ({
+  type: 'pitchbend',
+  value: rawValue / PITCH_BEND_CENTER - 1,
+  rawValue,
+});
+
+/**
+ * Create a channel aftertouch (channel pressure) message
+ * @param {number} rawValue - Pressure (0-127)
+ * @returns {Object} Message with value (0-1) and rawValue
+ */
+export const createChannelAftertouchMessage = rawValue => ({
+  type: 'channelaftertouch',
+  value: rawValue / 127,
+  rawValue,
+});
+
+/**
+ * Create a polyphonic (key) aftertouch message
+ * @param {number} noteNumber - MIDI note number
+ * @param {number} rawValue - Pressure (0-127)
+ * @returns {Object} Message with note, rawNote, value (0-1) and rawValue
+ */
+export const createKeyAftertouchMessage = (noteNumber, rawValue) => ({
+  type: 'keyaftertouch',
+  note: getMidiNoteName(noteNumber),
+  rawNote: { number: noteNumber },
+  value: rawValue / 127,
+  rawValue,
+});
+
+/**
+ * Get the raw MIDI value of a controller, pitch bend or aftertouch message
+ * @param {Object} message - Message object
+ * @returns {number} 14-bit value for pitch bend, 7-bit value otherwise
+ */
+export const getRawControlValue = message => {
+  if (message.rawValue !== undefined) return message.rawValue;
+
+  if (message.type === 'pitchbend') {
+    return Math.max(0, Math.min(16383, Math.round((message.value + 1) * PITCH_BEND_CENTER)));
+  }
+  if (typeof message.value === 'number') {
+    return Math.max(0, Math.min(127, Math.round(message.value * 127)));
+  }
+  return message.isOn ? 127 : 0;
+};
+
+/**
+ * Check whether a message is a controller, pitch bend or aftertouch message
+ * @param {Object} message - Message object
+ * @returns {boolean} True for non-note channel messages
+ */
+export const isControlMessage = message =>
+  ['controlchange', 'pitchbend', 'channelaftertouch', 'keyaftertouch'].includes(message.type);
+
+/**
+ * Get the most recent message for every control in a list of messages
+ * @param {Array} messages - Messages in time order
+ * @returns {Array} One message per channel and controller (or pitch bend, or pressure)
+ */
+export const getLatestControlMessages = messages => {
+  const latest = new Map();
+
+  messages.filter(isControlMessage).forEach(message => {
+    const target = message.type === 'controlchange' ? message.controller : message.note;
+    latest.set(`${message.channel}:${message.type}:${target}`, message);
+  });
+
+  return [...latest.values()];
+};
+
+/**
+ * Create the message that returns a control to rest
+ * @param {Object} message - Control message
+ * @returns {Object} Reset message on the same channel
+ */
+const createResetMessage = message => {
+  let reset;
+  if (message.type === 'controlchange') {
+    reset = createControlChangeMessage(message.controller, 0);
+  } else if (message.type === 'pitchbend') {
+    reset = createPitchBendMessage(PITCH_BEND_CENTER);
+  } else if (message.type === 'keyaftertouch') {
+    reset = { ...createKeyAftertouchMessage(0, 0), note: message.note, rawNote: message.rawNote };
+  } else {
+    reset = createChannelAftertouchMessage(0);
+  }
+  return message.channel !== undefined ? { ...reset, channel: message.channel } : reset;
+};
+
+/**
+ * Get the messages that return performance controls to rest: pedals up, pitch
+ * bend centred, modulation and pressure at zero. Other controllers (volume, pan)
+ * are left alone.
+ * @param {Array} messages - Messages that have been sent, in time order
+ * @returns {Array} Reset messages for every control that is not at rest
+ */
+export const getControlResetMessages = messages =>
+  getLatestControlMessages(messages)
+    .filter(message =>
+      message.type === 'controlchange'
+        ? CONTROLLER_NAMES[message.controller] && getRawControlValue(message) !== 0
+        : getRawControlValue(message) !== (message.type === 'pitchbend' ? PITCH_BEND_CENTER : 0)
+    )
+    .map(createResetMessage);
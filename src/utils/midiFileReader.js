@@ -0,0 +1,348 @@
+// src/utils/midiFileReader.js
+
+/**
+ * Standard MIDI File Reader
+ *
+ * Parses format 0 and format 1 Standard MIDI Files (.mid) into plain event lists
+ * with absolute tick and millisecond positions. Handles running status,
+ * variable-length delta times, tempo maps and multiple tracks.
+ */
+
+// Default tempo when a file has no Set Tempo meta event (120 BPM)
+const DEFAULT_MICROSECONDS_PER_QUARTER = 500000;
+
+// Number of data bytes following each channel message status (high nibble)
+const CHANNEL_MESSAGE_LENGTHS = {
+  0x80: 2, // Note off
+  0x90: 2, // Note on
+  0xa0: 2, // Polyphonic key pressure
+  0xb0: 2, // Control change
+  0xc0: 1, // Program change
+  0xd0: 1, // Channel pressure
+  0xe0: 2, // Pitch bend
+};
+
+/**
+ * Create a cursor for reading big-endian values from a byte array
+ * @param {Uint8Array} bytes - Data to read
+ * @param {number} offset - Start position
+ * @returns {Object} Reader with helper methods
+ */
+const createByteReader = (bytes, offset = 0) => {
+  let position = offset;
+
+  const ensureAvailable = count => {
+    if (position + count > bytes.length) {
+      throw new Error('Invalid MIDI file: unexpected end of data');
+    }
+  };
+
+  return {
+    getPosition: () => position,
+    setPosition: value => {
+      position = value;
+    },
+    readUint8: () => {
+      ensureAvailable(1);
+      return bytes[position++];
+    },
+    readUint16: () => {
+      ensureAvailable(2);
+      const value = (bytes[position] << 8) | bytes[position + 1];
+      position += 2;
+      return value;
+    },
+    readUint32: () => {
+      ensureAvailable(4);
+      const value =
+        bytes[position] * 0x1000000 +
+        ((bytes[position + 1] << 16) | (bytes[position + 2] << 8) | bytes[position + 3]);
+      position += 4;
+      return value;
+    },
+    readString: length => {
+      ensureAvailable(length);
+      const value = String.fromCharCode(...bytes.subarray(position, position + length));
+      position += length;
+      return value;
+    },
+    readBytes: length => {
+      ensureAvailable(length);
+      const value = bytes.slice(position, position + length);
+      position += length;
+      return value;
+    },
+    readVariableLength: () => {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        ensureAvailable(1);
+        const byte = bytes[position++];
+        value = (value << 7) | (byte & 0x7f);
+        if ((byte & 0x80) === 0) return value;
+      }
+      throw new Error('Invalid MIDI file: variable-length quantity too long');
+    },
+  };
+};
+
+/**
+ * Parse a meta event payload into a readable event
+ * @param {number} metaType - Meta event type byte
+ * @param {Uint8Array} data - Meta event data
+ * @returns {Object} Meta event fields
+ */
+const parseMetaEvent = (metaType, data) => {
+  const text = () => String.fromCharCode(...data);
+
+  switch (metaType) {
+    case 0x03:
+      return { type: 'trackname', text: text() };
+    case 0x01:
+    case 0x02:
+    case 0x04:
+    case 0x05:
+    case 0x06:
+    case 0x07:
+      return { type: 'text', metaType, text: text() };
+    case 0x2f:
+      return { type: 'endoftrack' };
+    case 0x51:
+      return {
+        type: 'tempo',
+        microsecondsPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2],
+      };
+    case 0x58:
+      return {
+        type: 'timesignature',
+        numerator: data[0],
+        denominator: Math.pow(2, data[1]),
+      };
+    case 0x59:
+      return {
+        type: 'keysignature',
+        // Number of sharps (positive) or flats (negative)
+        accidentals: data[0] > 127 ? data[0] - 256 : data[0],
+        isMinor: data[1] === 1,
+      };
+    default:
+      return { type: 'meta', metaType, data };
+  }
+};
+
+/**
+ * Parse a channel voice message
+ * @param {number} status - Status byte
+ * @param {Array<number>} data - Data bytes
+ * @returns {Object} Channel event fields
+ */
+const parseChannelEvent = (status, data) => {
+  const command = status & 0xf0;
+  const channel = status & 0x0f;
+
+  switch (command) {
+    case 0x80:
+      return { type: 'noteoff', channel, note: data[0], velocity: data[1] };
+    case 0x90:
+      return { type: 'noteon', channel, note: data[0], velocity: data[1] };
+    case 0xa0:
+      return { type: 'keyaftertouch', channel, note: data[0], value: data[1] };
+    case 0xb0:
+      return { type: 'controlchange', channel, controller: data[0], value: data[1] };
+    case 0xc0:
+      return { type: 'programchange', channel, program: data[0] };
+    case 0xd0:
+      return { type: 'channelaftertouch', channel, value: data[0] };
+    default:
+      // Pitch bend, 14-bit value centred on 8192
+      return { type: 'pitchbend', channel, value: data[0] | (data[1] << 7) };
+  }
+};
+
+/**
+ * Parse the events of a single MTrk chunk
+ * @param {Object} reader - Byte reader positioned at the start of the track data
+ * @param {number} end - Position where the track data ends
+ * @returns {Array} Events with absolute tick positions
+ */
+const parseTrack = (reader, end) => {
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+
+  while (reader.getPosition() < end) {
+    tick += reader.readVariableLength();
+
+    let status = reader.readUint8();
+    let firstDataByte = null;
+
+    if (status < 0x80) {
+      // Running status: the byte we read is already the first data byte
+      if (runningStatus === null) {
+        throw new Error('Invalid MIDI file: running status without a previous status byte');
+      }
+      firstDataByte = status;
+      status = runningStatus;
+    }
+
+    if (status === 0xff) {
+      const metaType = reader.readUint8();
+      const data = reader.readBytes(reader.readVariableLength());
+      runningStatus = null;
+      const event = parseMetaEvent(metaType, data);
+      events.push({ tick, ...event });
+      if (event.type === 'endoftrack') break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      const data = reader.readBytes(reader.readVariableLength());
+      runningStatus = null;
+      events.push({ tick, type: 'sysex', data });
+    } else {
+      const length = CHANNEL_MESSAGE_LENGTHS[status & 0xf0];
+      if (length === undefined) {
+        throw new Error(`Invalid MIDI file: unexpected status byte 0x${status.toString(16)}`);
+      }
+      const data = [];
+      if (firstDataByte !== null) data.push(firstDataByte);
+      while (data.length < length) data.push(reader.readUint8());
+      runningStatus = status;
+      events.push({ tick, ...parseChannelEvent(status, data) });
+    }
+  }
+
+  // Always continue from the declared chunk end, even if End of Track came early
+  reader.setPosition(end);
+  return events;
+};
+
+/**
+ * Build a function that converts absolute ticks into milliseconds
+ * @param {Object} division - Parsed header division
+ * @param {Array} tempoMap - Tempo changes sorted by tick
+ * @returns {Function} Tick to millisecond converter
+ */
+const createTickConverter = (division, tempoMap) => {
+  if (division.type === 'smpte') {
+    const msPerTick = 1000 / (division.framesPerSecond * division.ticksPerFrame);
+    return tick => tick * msPerTick;
+  }
+
+  return tick => {
+    let segment = tempoMap[0];
+    for (let i = 1; i < tempoMap.length && tempoMap[i].tick <= tick; i++) {
+      segment = tempoMap[i];
+    }
+    return (
+      segment.time + ((tick - segment.tick) * segment.microsecondsPerQuarter) / division.ppq / 1000
+    );
+  };
+};
+
+/**
+ * Parse a Standard MIDI File
+ * @param {Uint8Array|ArrayBuffer} data - Contents of a .mid file
+ * @returns {Object} Parsed file with header info, tracks, tempo map and a merged event list
+ * @throws {Error} If the data is not a valid format 0 or format 1 MIDI file
+ */
+export const parseMidiFile = data => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = createByteReader(bytes);
+
+  if (reader.readString(4) !== 'MThd') {
+    throw new Error('Invalid MIDI file: missing MThd header');
+  }
+
+  const headerLength = reader.readUint32();
+  const headerEnd = reader.getPosition() + headerLength;
+  const format = reader.readUint16();
+  const trackCount = reader.readUint16();
+  const rawDivision = reader.readUint16();
+  reader.setPosition(headerEnd);
+
+  if (format !== 0 && format !== 1) {
+    throw new Error(`Unsupported MIDI file format: ${format}`);
+  }
+
+  const division =
+    rawDivision & 0x8000
+      ? {
+          type: 'smpte',
+          framesPerSecond: 256 - (rawDivision >> 8),
+          ticksPerFrame: rawDivision & 0xff,
+        }
+      : { type: 'ppq', ppq: rawDivision };
+
+  // Read track chunks, skipping any unknown chunk types
+  const tracks = [];
+  while (reader.getPosition() + 8 <= bytes.length && tracks.length < trackCount) {
+    const chunkType = reader.readString(4);
+    const chunkLength = reader.readUint32();
+    const chunkEnd = Math.min(reader.getPosition() + chunkLength, bytes.length);
+
+    if (chunkType === 'MTrk') {
+      const events = parseTrack(reader, chunkEnd);
+      const nameEvent = events.find(event => event.type === 'trackname');
+      tracks.push({ name: nameEvent ? nameEvent.text : null, events });
+    } else {
+      reader.setPosition(chunkEnd);
+    }
+  }
+
+  // Collect tempo changes from every track (format 1 keeps them in the first track)
+  const tempoEvents = tracks
+    .flatMap(track => track.events.filter(event => event.type === 'tempo'))
+    .sort((a, b) => a.tick - b.tick);
+
+  const tempoMap = [{ tick: 0, microsecondsPerQuarter: DEFAULT_MICROSECONDS_PER_QUARTER, time: 0 }];
+  tempoEvents.forEach(event => {
+    const previous = tempoMap[tempoMap.length - 1];
+    const time =
+      division.type === 'ppq'
+        ? previous.time +
+          ((event.tick - previous.tick) * previous.microsecondsPerQuarter) / division.ppq / 1000
+        : 0;
+
+    if (event.tick === previous.tick) {
+      previous.microsecondsPerQuarter = event.microsecondsPerQuarter;
+    } else {
+      tempoMap.push({
+        tick: event.tick,
+        microsecondsPerQuarter: event.microsecondsPerQuarter,
+        time,
+      });
+    }
+  });
+  tempoMap.forEach(segment => {
+    segment.bpm = 60000000 / segment.microsecondsPerQuarter;
+  });
+
+  const tickToMs = createTickConverter(division, tempoMap);
+
+  // Merge all tracks into a single time-ordered event list
+  const events = tracks
+    .flatMap((track, trackIndex) =>
+      track.events.map((event, order) => ({
+        ...event,
+        track: trackIndex,
+        order,
+        time: tickToMs(event.tick),
+      }))
+    )
+    .sort((a, b) => a.tick - b.tick || a.track - b.track || a.order - b.order)
+    .map(({ order: _order, ...event }) => event);
+
+  const findMeta = type => events.filter(event => event.type === type);
+
+  return {
+    format,
+    trackCount: tracks.length,
+    division,
+    ppq: division.type === 'ppq' ? division.ppq : null,
+    tracks,
+    tempoMap,
+    timeSignatures: findMeta('timesignature'),
+    keySignatures: findMeta('keysignature'),
+    events,
+    duration: events.length > 0 ? events[events.length - 1].time : 0,
+  };
+};
+
+export default parseMidiFile;
@@ -0,0 +1,324 @@
+// src/utils/midiFileWriter.js
+import { getRawControlValue } from './midiControllers';
+import { getMidiNoteNumber } from './midiUtils';
+
+/**
+ * Standard MIDI File Writer
+ *
+ * Builds format 1 Standard MIDI Files from recorder events. The first track is a
+ * conductor track holding tempo, time signature and key signature; the second
+ * track holds the performance.
+ */
+
+// Number of sharps (positive) or flats (negative) for each major and minor key
+const MAJOR_KEY_ACCIDENTALS = {
+  Cb: -7,
+  Gb: -6,
+  Db: -5,
+  Ab: -4,
+  Eb: -3,
+  Bb: -2,
+  F: -1,
+  C: 0,
+  G: 1,
+  D: 2,
+  A: 3,
+  E: 4,
+  B: 5,
+  'F#': 6,
+  'C#': 7,
+};
+
+const MINOR_KEY_ACCIDENTALS = {
+  Ab: -7,
+  Eb: -6,
+  Bb: -5,
+  F: -4,
+  C: -3,
+  G: -2,
+  D: -1,
+  A: 0,
+  E: 1,
+  B: 2,
+  'F#': 3,
+  'C#': 4,
+  'G#': 5,
+  'D#': 6,
+  'A#': 7,
+};
+
+// Events at the same tick are written in this order so that a note can be
+// released and re-struck on the same tick without cutting the new note off
+const EVENT_ORDER = {
+  noteoff: 0,
+  controlchange: 1,
+  pitchbend: 1,
+  channelaftertouch: 1,
+  noteon: 2,
+  keyaftertouch: 3,
+};
+
+/**
+ * Get the position of an event among the events at its tick
+ * @param {Object} event - Recorder event
+ * @returns {number} Sort order; a note-on with velocity 0 is a note-off
+ */
+const getEventOrder = event =>
+  event.type === 'noteon' && event.velocity === 0
+    ? EVENT_ORDER.noteoff
+    : (EVENT_ORDER[event.type] ?? 1);
+
+/**
+ * Encode an integer to a variable-length quantity for MIDI
+ * @param {number} value - Integer value to encode
+ * @returns {Array} Bytes of the encoded value
+ */
+const encodeVariableLength = value => {
+  if (value < 0) {
+    throw new Error('Cannot encode negative value');
+  }
+
+  const bytes = [value & 0x7f];
+  let remaining = value >> 7;
+
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>= 7;
+  }
+
+  return bytes;
+};
+
+/**
+ * Encode a 32-bit integer to 4 bytes
+ * @param {number} value - Integer value to encode
+ * @returns {Array} 4 bytes of the encoded value
+ */
+const encodeInt32 = value => [
+  (value >> 24) & 0xff,
+  (value >> 16) & 0xff,
+  (value >> 8) & 0xff,
+  value & 0xff,
+];
+
+/**
+ * Encode a 16-bit integer to 2 bytes
+ * @param {number} value - Integer value to encode
+ * @returns {Array} 2 bytes of the encoded value
+ */
+const encodeInt16 = value => [(value >> 8) & 0xff, value & 0xff];
+
+/**
+ * Encode a string as bytes (characters outside Latin-1 are replaced)
+ * @param {string} text - Text to encode
+ * @returns {Array} Bytes of the text
+ */
+const encodeText = text =>
+  Array.from(String(text), char => {
+    const code = char.charCodeAt(0);
+    return code < 256 ? code : 0x3f; // '?'
+  });
+
+/**
+ * Resolve a key signature option into sharps/flats and mode
+ * @param {string|Object} keySignature - Key name ("G", "Bb", "F#m") or { accidentals, isMinor }
+ * @returns {Object|null} Resolved key signature or null if it cannot be resolved
+ */
+export const resolveKeySignature = keySignature => {
+  if (!keySignature) return null;
+
+  if (typeof keySignature === 'object') {
+    return {
+      accidentals: keySignature.accidentals || 0,
+      isMinor: Boolean(keySignature.isMinor),
+    };
+  }
+
+  const match = String(keySignature).match(/^([A-G][#b]?)(m|min|minor)?$/);
+  if (!match) {
+    console.error(`Invalid key signature: ${keySignature}`);
+    return null;
+  }
+
+  const isMinor = Boolean(match[2]);
+  const accidentals = (isMinor ? MINOR_KEY_ACCIDENTALS : MAJOR_KEY_ACCIDENTALS)[match[1]];
+  if (accidentals === undefined) {
+    console.error(`Unsupported key signature: ${keySignature}`);
+    return null;
+  }
+
+  return { accidentals, isMinor };
+};
+
+/**
+ * Wrap track events in an MTrk chunk
+ * @param {Array} trackEvents - Events as { tick, bytes } sorted by tick
+ * @returns {Array} Chunk bytes
+ */
+const buildTrackChunk = trackEvents => {
+  const data = [];
+  let previousTick = 0;
+
+  trackEvents.forEach(({ tick, bytes }) => {
+    data.push(...encodeVariableLength(tick - previousTick), ...bytes);
+    previousTick = tick;
+  });
+
+  // End of track
+  data.push(0x00, 0xff, 0x2f, 0x00);
+
+  return [0x4d, 0x54, 0x72, 0x6b, ...encodeInt32(data.length), ...data];
+};
+
+/**
+ * Convert a 0-1 velocity to a 7-bit MIDI value
+ * @param {number} velocity - Velocity between 0 and 1
+ * @param {number} fallback - 7-bit value to use when velocity is missing
+ * @returns {number} Velocity between 0 and 127
+ */
+const toMidiVelocity = (velocity, fallback) => {
+  if (typeof velocity !== 'number' || isNaN(velocity)) return fallback;
+  return Math.max(0, Math.min(127, Math.round(velocity * 127)));
+};
+
+/**
+ * Convert a recorder event into MIDI channel message bytes
+ * @param {Object} event - Recorder event
+ * @param {number} channel - Zero-based MIDI channel
+ * @returns {Array|null} Message bytes, or null if the event is not exported
+ */
+const eventToBytes = (event, channel) => {
+  const noteNumber =
+    event.rawNote?.number !== undefined ? event.rawNote.number : getMidiNoteNumber(event.note);
+
+  if (event.type === 'noteon' && event.velocity > 0) {
+    if (noteNumber === null) return null;
+    // Never write velocity 0 here, that would turn the note-on into a note-off
+    return [0x90 | channel, noteNumber, Math.max(1, toMidiVelocity(event.velocity, 64))];
+  }
+
+  if (event.type === 'noteoff' || event.type === 'noteon') {
+    if (noteNumber === null) return null;
+    return [0x80 | channel, noteNumber, toMidiVelocity(event.release, 64)];
+  }
+
+  if (event.type === 'controlchange' && event.controller !== undefined) {
+    return [0xb0 | channel, event.controller & 0x7f, getRawControlValue(event)];
+  }
+
+  if (event.type === 'pitchbend') {
+    const value = getRawControlValue(event);
+    return [0xe0 | channel, value & 0x7f, (value >> 7) & 0x7f];
+  }
+
+  if (event.type === 'channelaftertouch') {
+    return [0xd0 | channel, getRawControlValue(event)];
+  }
+
+  if (event.type === 'keyaftertouch') {
+    if (noteNumber === null) return null;
+    return [0xa0 | channel, noteNumber, getRawControlValue(event)];
+  }
+
+  return null;
+};
+
+/**
+ * Write recorder events to a format 1 Standard MIDI File
+ * @param {Array} events - Recorder events with recordTime in milliseconds
+ * @param {Object} options - Export options
+ * @param {number} options.tempo - Tempo in BPM (default: 120)
+ * @param {Array<number>} options.timeSignature - Time signature as [numerator, denominator] (default: [4, 4])
+ * @param {string|Object} options.keySignature - Key name ("G", "Bb", "F#m") or { accidentals, isMinor }
+ * @param {number} options.ppq - Ticks per quarter note (default: 480)
+ * @param {number} options.channel - MIDI channel 1-16; overrides the channel stored with each event
+ * @param {string} options.trackName - Name of the performance track
+ * @returns {Uint8Array} MIDI file data
+ */
+export const writeMidiFile = (
+  events,
+  {
+    tempo = 120,
+    timeSignature = [4, 4],
+    keySignature = null,
+    ppq = 480,
+    channel = null,
+    trackName = null,
+  } = {}
+) => {
+  const msToTicks = ms => Math.round((ms * ppq * tempo) / 60000);
+
+  // Conductor track: time signature, key signature and tempo
+  const conductorEvents = [];
+
+  const [numerator, denominator] = timeSignature;
+  conductorEvents.push({
+    tick: 0,
+    bytes: [0xff, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), 24, 8],
+  });
+
+  const resolvedKey = resolveKeySignature(keySignature);
+  if (resolvedKey) {
+    conductorEvents.push({
+      tick: 0,
+      bytes: [0xff, 0x59, 0x02, resolvedKey.accidentals & 0xff, resolvedKey.isMinor ? 1 : 0],
+    });
+  }
+
+  const microsecondsPerQuarter = Math.round(60000000 / tempo);
+  conductorEvents.push({
+    tick: 0,
+    bytes: [
+      0xff,
+      0x51,
+      0x03,
+      (microsecondsPerQuarter >> 16) & 0xff,
+      (microsecondsPerQuarter >> 8) & 0xff,
+      microsecondsPerQuarter & 0xff,
+    ],
+  });
+
+  // Performance track
+  const performanceEvents = [];
+
+  if (trackName) {
+    const nameBytes = encodeText(trackName);
+    performanceEvents.push({
+      tick: 0,
+      bytes: [0xff, 0x03, ...encodeVariableLength(nameBytes.length), ...nameBytes],
+    });
+  }
+
+  const sortedEvents = events
+    .map((event, index) => ({ event, index }))
+    .sort(
+      (a, b) =>
+        a.event.recordTime - b.event.recordTime ||
+        getEventOrder(a.event) - getEventOrder(b.event) ||
+        a.index - b.index
+    );
+
+  sortedEvents.forEach(({ event }) => {
+    const eventChannel = ((channel || event.channel || 1) - 1) & 0x0f;
+    const bytes = eventToBytes(event, eventChannel);
+    if (bytes) {
+      performanceEvents.push({ tick: msToTicks(Math.max(0, event.recordTime)), bytes });
+    }
+  });
+
+  const headerChunk = [
+    ...encodeText('MThd'),
+    ...encodeInt32(6), // Chunk size (always 6)
+    ...encodeInt16(1), // Format type (1 = multiple tracks)
+    ...encodeInt16(2), // Number of tracks (conductor + performance)
+    ...encodeInt16(ppq & 0x7fff), // Division (ticks per quarter note)
+  ];
+
+  return new Uint8Array([
+    ...headerChunk,
+    ...buildTrackChunk(conductorEvents),
+    ...buildTrackChunk(performanceEvents),
+  ]);
+};
+
+export default writeMidiFile;
@@ -0,0 +1,318 @@
+// src/utils/musicXmlParser.js
+import { getMidiNoteName } from './midiUtils';
+import { musicXmlToNoteName } from './MusicXMLUtils';
+
+/**
+ * MusicXML Parser
+ *
+ * Reads a partwise MusicXML score into a timeline. Unlike the extract functions
+ * in MusicXMLUtils, it follows the score's timing: chords, backup/forward, voices
+ * and staves, divisions, tied notes, time and key signatures, and tempo changes.
+ *
+ * Positions are in quarter notes from the start of the score; times are in
+ * milliseconds after applying the tempo map.
+ */
+
+const DEFAULT_TEMPO = 120;
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Positions are fractions of a quarter note; round them so equal onsets compare equal
+const roundPosition = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Get the element children of a node
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Only return children with this tag name (optional)
+ * @returns {Array<Element>} Child elements in document order
+ */
+const getChildren = (element, tagName = null) =>
+  Array.from(element.childNodes).filter(
+    node => node.nodeType === 1 && (!tagName || node.nodeName === tagName)
+  );
+
+/**
+ * Get the first child element with a tag name
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Tag name
+ * @returns {Element|null} Child element
+ */
+const getChild = (element, tagName) => getChildren(element, tagName)[0] || null;
+
+/**
+ * Read the number in a child element
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Tag name of the child
+ * @param {number} fallback - Value when the child is missing
+ * @returns {number} Parsed number
+ */
+const getNumber = (element, tagName, fallback = null) => {
+  const child = element && getChild(element, tagName);
+  const value = child ? parseFloat(child.textContent) : NaN;
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Read the pitch of a note element
+ * @param {Element} pitchElement - <pitch> element
+ * @returns {Object} { step, alter, octave, midi, noteName }
+ */
+const readPitch = pitchElement => {
+  const step = getChild(pitchElement, 'step').textContent.trim();
+  const alter = getNumber(pitchElement, 'alter', 0);
+  const octave = getNumber(pitchElement, 'octave', 4);
+  const midi = (octave + 1) * 12 + STEP_SEMITONES[step] + Math.round(alter);
+  return { step, alter, octave, midi, noteName: musicXmlToNoteName(step, octave, alter) };
+};
+
+/**
+ * Read the tempo set by a <direction> or <sound> element
+ * @param {Element} element - <direction> or <sound> element
+ * @returns {number|null} Tempo in quarter notes per minute
+ */
+const readTempo = element => {
+  const sound = element.nodeName === 'sound' ? element : getChild(element, 'sound');
+  const tempo = sound ? parseFloat(sound.getAttribute('tempo')) : NaN;
+  if (tempo > 0) return tempo;
+
+  // Fall back to a quarter-note metronome mark without playback tempo
+  const directionType = element.nodeName === 'direction' && getChild(element, 'direction-type');
+  const metronome = directionType && getChild(directionType, 'metronome');
+  if (metronome && getChild(metronome, 'beat-unit')?.textContent.trim() === 'quarter') {
+    const perMinute = getNumber(metronome, 'per-minute');
+    return perMinute > 0 ? perMinute : null;
+  }
+  return null;
+};
+
+/**
+ * Parse one <part> element
+ * @param {Element} partElement - <part> element
+ * @param {number} partIndex - Index of the part in the score
+ * @returns {Object} { measures, notes, tempos, staves }
+ */
+const parsePart = (partElement, partIndex) => {
+  const measures = [];
+  const notes = [];
+  const tempos = [];
+  const openTies = new Map();
+
+  let divisions = 1;
+  let staves = 1;
+  let timeSignature = { beats: 4, beatType: 4 };
+  let keySignature = { fifths: 0, mode: 'major' };
+  let measureStart = 0;
+
+  getChildren(partElement, 'measure').forEach((measureElement, measureIndex) => {
+    let position = 0;
+    let measureLength = 0;
+    let lastOnset = 0;
+
+    const advance = amount => {
+      position += amount;
+      measureLength = Math.max(measureLength, position);
+    };
+
+    getChildren(measureElement).forEach(element => {
+      switch (element.nodeName) {
+        case 'attributes': {
+          divisions = getNumber(element, 'divisions', divisions);
+          staves = getNumber(element, 'staves', staves);
+          const key = getChild(element, 'key');
+          if (key) {
+            keySignature = {
+              fifths: getNumber(key, 'fifths', 0),
+              mode: getChild(key, 'mode')?.textContent.trim() || 'major',
+            };
+          }
+          const time = getChild(element, 'time');
+          if (time) {
+            timeSignature = {
+              beats: getNumber(time, 'beats', 4),
+              beatType: getNumber(time, 'beat-type', 4),
+            };
+          }
+          break;
+        }
+        case 'backup':
+          position = Math.max(0, position - getNumber(element, 'duration', 0) / divisions);
+          break;
+        case 'forward':
+          advance(getNumber(element, 'duration', 0) / divisions);
+          break;
+        case 'direction':
+        case 'sound': {
+          const tempo = readTempo(element);
+          if (tempo) tempos.push({ position: roundPosition(measureStart + position), tempo });
+          break;
+        }
+        case 'note': {
+          const isChord = Boolean(getChild(element, 'chord'));
+          const isGrace = Boolean(getChild(element, 'grace'));
+          const duration = isGrace ? 0 : getNumber(element, 'duration', 0) / divisions;
+          const onset = isChord ? lastOnset : position;
+          const pitchElement = getChild(element, 'pitch');
+
+          if (!isChord) {
+            lastOnset = position;
+            advance(duration);
+          }
+          if (!pitchElement) break; // Rest or unpitched note
+
+          const tieTypes = getChildren(element, 'tie').map(tie => tie.getAttribute('type'));
+          const pitch = readPitch(pitchElement);
+          const tieKey = `${pitch.midi}:${getNumber(element, 'staff', 1)}`;
+
+          // A tied continuation lengthens the note it is tied from
+          if (tieTypes.includes('stop') && openTies.has(tieKey)) {
+            const tiedNote = openTies.get(tieKey);
+            tiedNote.duration = roundPosition(measureStart + onset + duration - tiedNote.position);
+            if (!tieTypes.includes('start')) openTies.delete(tieKey);
+            break;
+          }
+
+          const note = {
+            ...pitch,
+            part: partIndex,
+            staff: getNumber(element, 'staff', 1),
+            voice: getChild(element, 'voice')?.textContent.trim() || '1',
+            measure: measureIndex,
+            position: roundPosition(measureStart + onset),
+            duration: roundPosition(duration),
+            isGrace,
+          };
+          notes.push(note);
+          if (tieTypes.includes('start')) openTies.set(tieKey, note);
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    // Measures are as long as their content, so pickups keep their real length;
+    // empty measures take the length of the time signature
+    const length = measureLength || (timeSignature.beats * 4) / timeSignature.beatType;
+    measures.push({
+      number: measureElement.getAttribute('number'),
+      index: measureIndex,
+      position: roundPosition(measureStart),
+      duration: roundPosition(length),
+      timeSignature,
+      keySignature,
+    });
+    measureStart += length;
+  });
+
+  return { measures, notes, tempos, staves };
+};
+
+/**
+ * Build a function that converts positions in quarter notes into milliseconds
+ * @param {Array} tempoMap - Tempo changes as { position, tempo } sorted by position
+ * @returns {Function} Position to millisecond converter
+ */
+const createPositionConverter = tempoMap => position => {
+  let segment = tempoMap[0];
+  for (let i = 1; i < tempoMap.length && tempoMap[i].position <= position; i++) {
+    segment = tempoMap[i];
+  }
+  return segment.time + ((position - segment.position) * 60000) / segment.tempo;
+};
+
+/**
+ * Parse a partwise MusicXML score into a timeline
+ * @param {string|Document} xmlData - MusicXML content as string or parsed Document
+ * @returns {Object} { title, parts, measures, tempoMap, notes, timeline, duration }
+ * @throws {Error} If the data is not a partwise MusicXML score
+ */
+export const parseMusicXML = xmlData => {
+  const xmlDoc =
+    typeof xmlData === 'string' ? new DOMParser().parseFromString(xmlData, 'text/xml') : xmlData;
+
+  const root = xmlDoc.documentElement;
+  if (!root || root.nodeName !== 'score-partwise') {
+    throw new Error('Invalid MusicXML: expected a score-partwise document');
+  }
+
+  const partNames = {};
+  const partList = getChild(root, 'part-list');
+  (partList ? getChildren(partList, 'score-part') : []).forEach(scorePart => {
+    partNames[scorePart.getAttribute('id')] = getChild(scorePart, 'part-name')?.textContent.trim();
+  });
+
+  const parsedParts = getChildren(root, 'part').map(parsePart);
+
+  // Tempo changes from every part; the first one at each position wins
+  const tempoMap = [{ position: 0, tempo: DEFAULT_TEMPO, time: 0 }];
+  const tempoPositions = new Set();
+  parsedParts
+    .flatMap(part => part.tempos)
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ position, tempo }) => {
+      if (tempoPositions.has(position)) return;
+      tempoPositions.add(position);
+
+      const previous = tempoMap[tempoMap.length - 1];
+      if (position === previous.position) {
+        previous.tempo = tempo;
+      } else {
+        const time = previous.time + ((position - previous.position) * 60000) / previous.tempo;
+        tempoMap.push({ position, tempo, time });
+      }
+    });
+
+  const toMs = createPositionConverter(tempoMap);
+  const withTime = item => ({
+    ...item,
+    time: toMs(item.position),
+    durationMs: toMs(item.position + item.duration) - toMs(item.position),
+  });
+
+  const parts = getChildren(root, 'part').map((partElement, index) => {
+    const id = partElement.getAttribute('id');
+    return {
+      id,
+      name: partNames[id] || id,
+      staves: parsedParts[index].staves,
+      notes: parsedParts[index].notes.map(withTime),
+    };
+  });
+
+  const notes = parts
+    .flatMap(part => part.notes)
+    .sort((a, b) => a.position - b.position || a.midi - b.midi)
+    .map(note => ({ ...note, note: getMidiNoteName(note.midi) }));
+
+  // Group simultaneous notes into onsets; grace notes lead into the onset that follows them
+  const onsets = new Map();
+  notes.forEach(note => {
+    if (!onsets.has(note.position)) {
+      onsets.set(note.position, {
+        position: note.position,
+        time: note.time,
+        measure: note.measure,
+        notes: [],
+        graceNotes: [],
+      });
+    }
+    onsets.get(note.position)[note.isGrace ? 'graceNotes' : 'notes'].push(note);
+  });
+
+  const measures = (parsedParts[0]?.measures || []).map(withTime);
+  const lastMeasure = measures[measures.length - 1];
+
+  const titleElement = getChild(root, 'work') && getChild(getChild(root, 'work'), 'work-title');
+  const movementTitle = getChild(root, 'movement-title');
+
+  return {
+    title: (titleElement || movementTitle)?.textContent.trim() || null,
+    parts,
+    measures,
+    tempoMap,
+    notes,
+    timeline: [...onsets.values()].sort((a, b) => a.position - b.position),
+    duration: lastMeasure ? lastMeasure.time + lastMeasure.durationMs : 0,
+  };
+};
+
+export default parseMusicXML;
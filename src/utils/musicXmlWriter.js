@@ -0,0 +1,310 @@
+// src/utils/musicXmlWriter.js
+import { resolveKeySignature } from './midiFileWriter';
+import { QUANTIZE_GRIDS } from './recordingQuantizer';
+import { eventsToNotes } from './recordingNotes';
+
+/**
+ * MusicXML Writer
+ *
+ * Turns recorder events into a MusicXML score for a grand staff. Notes are
+ * quantized to a grid, grouped into chords, split across barlines with ties and
+ * written with rests filling the gaps. Notes from the split point up go to the
+ * treble staff, lower notes to the bass staff.
+ */
+
+const SHARP_SPELLINGS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_SPELLINGS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Note types as multiples of a quarter note, longest first
+const NOTE_TYPES = [
+  { type: 'whole', quarters: 4 },
+  { type: 'half', quarters: 2 },
+  { type: 'quarter', quarters: 1 },
+  { type: 'eighth', quarters: 1 / 2 },
+  { type: '16th', quarters: 1 / 4 },
+  { type: '32nd', quarters: 1 / 8 },
+];
+
+// Second staff uses voice 5, as notation programs do for the bass staff of a grand staff
+const STAFF_VOICES = { 1: 1, 2: 5 };
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Get the written durations (plain and dotted) available at a resolution
+ * @param {number} divisions - Divisions per quarter note
+ * @returns {Array} { type, dots, duration } sorted from longest to shortest
+ */
+const getNoteValues = divisions =>
+  NOTE_TYPES.flatMap(({ type, quarters }) => [
+    { type, dots: 1, duration: quarters * divisions * 1.5 },
+    { type, dots: 0, duration: quarters * divisions },
+  ]).filter(value => Number.isInteger(value.duration) && value.duration > 0);
+
+/**
+ * Split a duration into written note values, longest first
+ * @param {number} duration - Duration in divisions
+ * @param {Array} noteValues - Values from getNoteValues
+ * @returns {Array} Note values that add up to the duration
+ */
+const splitDuration = (duration, noteValues) => {
+  const parts = [];
+  let remaining = duration;
+  while (remaining > 0) {
+    const value = noteValues.find(candidate => candidate.duration <= remaining);
+    parts.push(value);
+    remaining -= value.duration;
+  }
+  return parts;
+};
+
+/**
+ * Turn the notes of one staff into a gapless sequence of chords and rests
+ *
+ * A staff is written as a single voice: each chord lasts until the next onset at
+ * the latest, and chord members share the longest member's duration.
+ *
+ * @param {Array} notes - Notes as { midi, start, duration } in divisions
+ * @param {number} totalDuration - Length of the score in divisions
+ * @returns {Array} Items as { start, duration, pitches } (empty pitches for rests)
+ */
+const buildStaffItems = (notes, totalDuration) => {
+  const onsets = new Map();
+  notes.forEach(note => {
+    if (!onsets.has(note.start)) onsets.set(note.start, []);
+    onsets.get(note.start).push(note);
+  });
+
+  const starts = [...onsets.keys()].sort((a, b) => a - b);
+  const items = [];
+  let position = 0;
+
+  starts.forEach((start, index) => {
+    if (start > position) items.push({ start: position, duration: start - position, pitches: [] });
+
+    const chord = onsets.get(start);
+    const end = Math.min(
+      start + Math.max(...chord.map(note => note.duration)),
+      index + 1 < starts.length ? starts[index + 1] : totalDuration
+    );
+    const pitches = [...new Set(chord.map(note => note.midi))].sort((a, b) => a - b);
+    items.push({ start, duration: end - start, pitches });
+    position = end;
+  });
+
+  if (position < totalDuration) {
+    items.push({ start: position, duration: totalDuration - position, pitches: [] });
+  }
+  return items;
+};
+
+/**
+ * Write a pitch element
+ * @param {number} midi - MIDI note number
+ * @param {boolean} useFlats - Spell black keys as flats
+ * @returns {string} XML
+ */
+const writePitch = (midi, useFlats) => {
+  const name = (useFlats ? FLAT_SPELLINGS : SHARP_SPELLINGS)[midi % 12];
+  const alter = name.length > 1 ? (name[1] === '#' ? 1 : -1) : 0;
+  return [
+    '<pitch>',
+    `<step>${name[0]}</step>`,
+    alter !== 0 ? `<alter>${alter}</alter>` : '',
+    `<octave>${Math.floor(midi / 12) - 1}</octave>`,
+    '</pitch>',
+  ].join('');
+};
+
+/**
+ * Write the notes (or rest) of one written segment
+ * @param {Object} segment - { duration, pitches, value, tieStart, tieStop, measureRest }
+ * @param {number} staff - Staff number (1 or 2)
+ * @param {boolean} useFlats - Spell black keys as flats
+ * @returns {Array<string>} One <note> element per pitch (or the rest)
+ */
+const writeSegment = (segment, staff, useFlats) => {
+  const { duration, pitches, value, tieStart, tieStop, measureRest } = segment;
+  const common = `<voice>${STAFF_VOICES[staff]}</voice>`;
+  const staffElement = `<staff>${staff}</staff>`;
+
+  if (pitches.length === 0) {
+    const type = measureRest ? '' : `<type>${value.type}</type>${'<dot/>'.repeat(value.dots)}`;
+    return [
+      `<note>${measureRest ? '<rest measure="yes"/>' : '<rest/>'}<duration>${duration}</duration>${common}${type}${staffElement}</note>`,
+    ];
+  }
+
+  const ties = `${tieStop ? '<tie type="stop"/>' : ''}${tieStart ? '<tie type="start"/>' : ''}`;
+  const tied = `${tieStop ? '<tied type="stop"/>' : ''}${tieStart ? '<tied type="start"/>' : ''}`;
+
+  return pitches.map(
+    (midi, index) =>
+      `<note>${index > 0 ? '<chord/>' : ''}${writePitch(midi, useFlats)}` +
+      `<duration>${duration}</duration>${ties}${common}<type>${value.type}</type>` +
+      `${'<dot/>'.repeat(value.dots)}${staffElement}` +
+      `${tied ? `<notations>${tied}</notations>` : ''}</note>`
+  );
+};
+
+/**
+ * Cut staff items at barlines and into writable note values
+ * @param {Array} items - Items from buildStaffItems
+ * @param {number} measureDuration - Measure length in divisions
+ * @param {Array} noteValues - Values from getNoteValues
+ * @returns {Array} Segments grouped per measure
+ */
+const splitIntoMeasures = (items, measureDuration, noteValues) => {
+  const measures = [];
+
+  items.forEach(item => {
+    const pieces = [];
+    let position = item.start;
+    const end = item.start + item.duration;
+
+    while (position < end) {
+      const measureIndex = Math.floor(position / measureDuration);
+      const pieceEnd = Math.min(end, (measureIndex + 1) * measureDuration);
+      const isWholeMeasure = pieceEnd - position === measureDuration;
+
+      if (item.pitches.length === 0 && isWholeMeasure) {
+        pieces.push({ measureIndex, duration: measureDuration, measureRest: true });
+      } else {
+        splitDuration(pieceEnd - position, noteValues).forEach(value => {
+          pieces.push({ measureIndex, duration: value.duration, value });
+        });
+      }
+      position = pieceEnd;
+    }
+
+    pieces.forEach((piece, index) => {
+      const isNote = item.pitches.length > 0;
+      if (!measures[piece.measureIndex]) measures[piece.measureIndex] = [];
+      measures[piece.measureIndex].push({
+        ...piece,
+        pitches: item.pitches,
+        tieStop: isNote && index > 0,
+        tieStart: isNote && index < pieces.length - 1,
+      });
+    });
+  });
+
+  return measures;
+};
+
+/**
+ * Write recorder events as a MusicXML score
+ * @param {Array} events - Recorder events with recordTime in milliseconds
+ * @param {Object} options - Export options
+ * @param {number} options.tempo - Tempo in BPM (default: 120)
+ * @param {Array<number>} options.timeSignature - Time signature as [numerator, denominator] (default: [4, 4])
+ * @param {string|Object} options.keySignature - Key name ("G", "Bb", "F#m") or { accidentals, isMinor }
+ * @param {string} options.grid - Shortest written value: '1/4', '1/8', '1/16' or '1/32' (default: '1/16')
+ * @param {number} options.splitPoint - Lowest MIDI note on the treble staff (default: 60, middle C)
+ * @param {string} options.title - Work title
+ * @param {string} options.partName - Part name (default: 'Piano')
+ * @returns {string} MusicXML document
+ */
+export const writeMusicXML = (
+  events,
+  {
+    tempo = 120,
+    timeSignature = [4, 4],
+    keySignature = null,
+    grid = '1/16',
+    splitPoint = 60,
+    title = null,
+    partName = 'Piano',
+  } = {}
+) => {
+  const fraction = QUANTIZE_GRIDS[grid];
+  if (!fraction) {
+    throw new Error(`Unsupported grid: ${grid}`);
+  }
+
+  const [numerator, denominator] = timeSignature;
+  const divisions = Math.max(Math.round(1 / (fraction * 4)), Math.ceil(denominator / 4));
+  const measureDuration = Math.round((numerator * 4 * divisions) / denominator);
+  const noteValues = getNoteValues(divisions);
+  const resolvedKey = resolveKeySignature(keySignature) || { accidentals: 0, isMinor: false };
+  const useFlats = resolvedKey.accidentals < 0;
+
+  // Quantize notes to whole divisions
+  const msPerDivision = 60000 / tempo / divisions;
+  const notes = eventsToNotes(events).map(note => {
+    const start = Math.round(note.start / msPerDivision);
+    const end = Math.round((note.start + note.duration) / msPerDivision);
+    return { midi: note.midi, start, duration: Math.max(1, end - start) };
+  });
+
+  const endPosition = Math.max(0, ...notes.map(note => note.start + note.duration));
+  const measureCount = Math.max(1, Math.ceil(endPosition / measureDuration));
+  const totalDuration = measureCount * measureDuration;
+
+  const staves = [1, 2].map(staff =>
+    splitIntoMeasures(
+      buildStaffItems(
+        notes.filter(note => (staff === 1 ? note.midi >= splitPoint : note.midi < splitPoint)),
+        totalDuration
+      ),
+      measureDuration,
+      noteValues
+    )
+  );
+
+  const attributes = [
+    '<attributes>',
+    `  <divisions>${divisions}</divisions>`,
+    `  <key><fifths>${resolvedKey.accidentals}</fifths><mode>${resolvedKey.isMinor ? 'minor' : 'major'}</mode></key>`,
+    `  <time><beats>${numerator}</beats><beat-type>${denominator}</beat-type></time>`,
+    '  <staves>2</staves>',
+    '  <clef number="1"><sign>G</sign><line>2</line></clef>',
+    '  <clef number="2"><sign>F</sign><line>4</line></clef>',
+    '</attributes>',
+    '<direction placement="above">',
+    `  <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(tempo)}</per-minute></metronome></direction-type>`,
+    `  <staff>1</staff><sound tempo="${tempo}"/>`,
+    '</direction>',
+  ];
+
+  const measures = Array.from({ length: measureCount }, (_, index) => {
+    const [treble, bass] = staves.map(staff => staff[index] || []);
+    const content = [
+      ...(index === 0 ? attributes : []),
+      ...treble.flatMap(segment => writeSegment(segment, 1, useFlats)),
+      `<backup><duration>${measureDuration}</duration></backup>`,
+      ...bass.flatMap(segment => writeSegment(segment, 2, useFlats)),
+    ];
+    return [
+      `    <measure number="${index + 1}">`,
+      ...content.map(line => `      ${line}`),
+      '    </measure>',
+    ].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
+<score-partwise version="3.1">
+${title ? `  <work><work-title>${escapeXml(title)}</work-title></work>\n` : ''}  <part-list>
+    <score-part id="P1">
+      <part-name>${escapeXml(partName)}</part-name>
+    </score-part>
+  </part-list>
+  <part id="P1">
+${measures.join('\n')}
+  </part>
+</score-partwise>
+`;
+};
+
+export default writeMusicXML;
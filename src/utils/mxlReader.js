@@ -0,0 +1,116 @@
+// src/utils/mxlReader.js
+import { extractMeasuresFromMusicXML, extractNotesFromMusicXML } from './MusicXMLUtils';
+import { parseMusicXML } from './musicXmlParser';
+import { isZipData, readZipEntries } from './zipReader';
+
+/**
+ * Compressed MusicXML (.mxl) Reader
+ *
+ * An .mxl file is a zip archive holding the score plus a META-INF/container.xml
+ * manifest that names the root score file. These helpers unzip the archive,
+ * find the score and hand it to the regular MusicXML functions.
+ */
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+/**
+ * Decode XML bytes, honouring UTF-16 byte order marks
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} Text
+ */
+const decodeXml = bytes => {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+/**
+ * Find the path of the root score from the container manifest
+ * @param {string} containerXml - Contents of META-INF/container.xml
+ * @returns {string|null} Path of the root score
+ */
+const getRootFilePath = containerXml => {
+  const containerDoc = new DOMParser().parseFromString(containerXml, 'text/xml');
+  const rootFiles = Array.from(containerDoc.getElementsByTagName('rootfile'));
+
+  // The first MusicXML root file is the score; others may be alternate renditions (e.g. PDF)
+  const rootFile =
+    rootFiles.find(element => {
+      const mediaType = element.getAttribute('media-type');
+      return !mediaType || mediaType.includes('musicxml');
+    }) || rootFiles[0];
+
+  return rootFile ? rootFile.getAttribute('full-path') : null;
+};
+
+/**
+ * Check whether data is a compressed MusicXML (.mxl) file
+ * @param {ArrayBuffer|Uint8Array|string|Document} data - File contents
+ * @returns {boolean} True for zip data
+ */
+export const isMxlData = data =>
+  (data instanceof ArrayBuffer || data instanceof Uint8Array) && isZipData(data);
+
+/**
+ * Read the MusicXML score from an .mxl file
+ * @param {ArrayBuffer|Uint8Array} data - Contents of the .mxl file
+ * @returns {Promise<string>} MusicXML of the root score
+ * @throws {Error} If the archive cannot be read or holds no score
+ */
+export const extractMusicXMLFromMxl = async data => {
+  const entries = readZipEntries(data);
+  const findEntry = path => entries.find(entry => entry.name === path);
+
+  let rootPath = null;
+  const container = findEntry(CONTAINER_PATH);
+  if (container) {
+    rootPath = getRootFilePath(decodeXml(await container.read()));
+  }
+
+  // Without a usable manifest, fall back to the first score file outside META-INF
+  const rootEntry =
+    (rootPath && findEntry(rootPath)) ||
+    entries.find(
+      entry => !entry.name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(entry.name)
+    );
+  if (!rootEntry) {
+    throw new Error('Invalid MXL file: no MusicXML score found');
+  }
+
+  return decodeXml(await rootEntry.read());
+};
+
+/**
+ * Read MusicXML from any score source
+ * @param {ArrayBuffer|Uint8Array|string|Document} data - .mxl bytes, uncompressed MusicXML bytes, a string or a Document
+ * @returns {Promise<string|Document>} MusicXML string or Document, ready for the MusicXML functions
+ */
+export const loadMusicXML = async data => {
+  if (isMxlData(data)) return extractMusicXMLFromMxl(data);
+  if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
+    return decodeXml(data instanceof Uint8Array ? data : new Uint8Array(data));
+  }
+  return data;
+};
+
+/**
+ * Extract notes from an .mxl or MusicXML file
+ * @param {ArrayBuffer|Uint8Array|string|Document} data - Score file contents
+ * @returns {Promise<Array>} Notes, as returned by extractNotesFromMusicXML
+ */
+export const extractNotesFromMxl = async data => extractNotesFromMusicXML(await loadMusicXML(data));
+
+/**
+ * Extract measures from an .mxl or MusicXML file
+ * @param {ArrayBuffer|Uint8Array|string|Document} data - Score file contents
+ * @returns {Promise<Array>} Measures, as returned by extractMeasuresFromMusicXML
+ */
+export const extractMeasuresFromMxl = async data =>
+  extractMeasuresFromMusicXML(await loadMusicXML(data));
+
+/**
+ * Parse an .mxl or MusicXML file into a timeline
+ * @param {ArrayBuffer|Uint8Array|string|Document} data - Score file contents
+ * @returns {Promise<Object>} Score, as returned by parseMusicXML
+ */
+export const parseMxl = async data => parseMusicXML(await loadMusicXML(data));
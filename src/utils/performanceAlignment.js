@@ -0,0 +1,319 @@
+// src/utils/performanceAlignment.js
+import { eventsToNotes } from './recordingNotes';
+
+/**
+ * Performance Alignment
+ *
+ * Aligns two note sequences with dynamic time warping, for example a teacher's
+ * recording and a student's, or a score and a performance. The performance is
+ * mapped onto the reference's time axis with a tempo estimate (the median ratio
+ * of the time between onsets, refined by fitting the matched notes), so a
+ * performance at another tempo still lines up, even when it stops early or
+ * covers only part of the reference. Besides pairing notes, the
+ * warping path may skip a reference note (missed) or a performed note (extra),
+ * and may pair two different pitches played at the same place (substitution).
+ *
+ * Each pair reports its timing offset twice: against the overall tempo of the
+ * performance, and against the neighbouring pairs, which follows rubato.
+ */
+
+// Alignment steps stored in the path matrix
+const STEP_PAIR = 1;
+const STEP_MISSED = 2;
+const STEP_EXTRA = 3;
+
+// Most times the notes are paired again with the tempo fitted to the matches
+const MAX_TEMPO_ITERATIONS = 3;
+
+/**
+ * Get the notes of a sequence
+ * @param {Array|Object} sequence - Recorder events, or a parsed score from parseMusicXML
+ * @returns {Array} Notes as { midi, note, start, duration, ... }
+ */
+const getSequenceNotes = sequence => {
+  if (sequence && sequence.timeline) {
+    return sequence.notes
+      .filter(note => !note.isGrace && note.midi !== null)
+      .map(note => ({ ...note, start: note.time, duration: note.durationMs }))
+      .sort((a, b) => a.start - b.start || a.midi - b.midi);
+  }
+  return eventsToNotes(sequence);
+};
+
+/**
+ * Order the notes of each chord by pitch, so that a chord rolled differently
+ * in the two sequences still pairs note for note
+ * @param {Array} notes - Notes sorted by start
+ * @param {number} chordWindow - Onsets closer than this in ms form a chord
+ * @returns {Array} Notes in alignment order
+ */
+const orderChords = (notes, chordWindow) => {
+  const ordered = [];
+  let chord = [];
+  notes.forEach(note => {
+    if (chord.length > 0 && note.start - chord[0].start > chordWindow) {
+      ordered.push(...chord.sort((a, b) => a.midi - b.midi));
+      chord = [];
+    }
+    chord.push(note);
+  });
+  return [...ordered, ...chord.sort((a, b) => a.midi - b.midi)];
+};
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Get the times between the onsets of notes, counting a chord once
+ * @param {Array} notes - Notes in alignment order
+ * @param {number} chordWindow - Onsets closer than this in ms form a chord
+ * @returns {Array<number>} Inter-onset intervals in ms
+ */
+const getOnsetIntervals = (notes, chordWindow) => {
+  const intervals = [];
+  let chordStart = null;
+  notes.forEach(note => {
+    if (chordStart !== null && note.start - chordStart <= chordWindow) return;
+    if (chordStart !== null) intervals.push(note.start - chordStart);
+    chordStart = note.start;
+  });
+  return intervals;
+};
+
+/**
+ * Estimate the time map of a performance before any notes are paired
+ *
+ * The tempo ratio is the median performed inter-onset interval over the median
+ * reference one, which does not depend on how much of the reference was played;
+ * the first onsets are taken to coincide.
+ *
+ * @param {Array} referenceNotes - Reference notes in alignment order
+ * @param {Array} performedNotes - Performed notes in alignment order
+ * @param {number} chordWindow - Onsets closer than this in ms form a chord
+ * @returns {Object} { offset, ratio } so that performed = offset + ratio * reference
+ */
+const estimateTimeMap = (referenceNotes, performedNotes, chordWindow) => {
+  if (referenceNotes.length === 0 || performedNotes.length === 0) return { offset: 0, ratio: 1 };
+  const referenceIntervals = getOnsetIntervals(referenceNotes, chordWindow);
+  const performedIntervals = getOnsetIntervals(performedNotes, chordWindow);
+  const ratio =
+    referenceIntervals.length > 0 && performedIntervals.length > 0
+      ? median(performedIntervals) / median(referenceIntervals)
+      : 1;
+  return { offset: performedNotes[0].start - ratio * referenceNotes[0].start, ratio };
+};
+
+/**
+ * Fit performance onsets to reference onsets with a straight line
+ * @param {Array} pairs - Pairs of the same pitch
+ * @returns {Object|null} { offset, ratio } so that performed = offset + ratio * reference,
+ *   or null without two pairs at different times
+ */
+const fitTimeMap = pairs => {
+  if (pairs.length === 0) return null;
+  const xs = pairs.map(pair => pair.reference.start);
+  const ys = pairs.map(pair => pair.performance.start);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let covariance = 0;
+  let variance = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  if (variance === 0 || covariance <= 0) return null;
+  const ratio = covariance / variance;
+  return { offset: meanY - ratio * meanX, ratio };
+};
+
+/**
+ * Pair notes with dynamic time warping
+ * @param {Array} referenceNotes - Reference notes in alignment order
+ * @param {Array} performedNotes - Performed notes in alignment order
+ * @param {Object} timeMap - Estimated { offset, ratio } of the performance
+ * @param {Object} costs - { timeWeight, gapCost, substitutionCost }
+ * @returns {Object} { pairs, missed, extra, cost }
+ */
+const warpNotes = (
+  referenceNotes,
+  performedNotes,
+  timeMap,
+  { timeWeight, gapCost, substitutionCost }
+) => {
+  // Performed onsets on the reference's time axis, with its length as the unit of the time cost
+  const referenceStarts = referenceNotes.map(note => note.start);
+  const span =
+    referenceNotes.length > 0 ? Math.max(...referenceStarts) - Math.min(...referenceStarts) : 0;
+  const unit = span > 0 ? span : 1;
+  const performedPositions = performedNotes.map(
+    note => (note.start - timeMap.offset) / timeMap.ratio / unit
+  );
+  const referencePositions = referenceStarts.map(start => start / unit);
+
+  const rows = referenceNotes.length + 1;
+  const columns = performedNotes.length + 1;
+  const costs = new Float64Array(rows * columns);
+  const steps = new Uint8Array(rows * columns);
+
+  for (let i = 1; i < rows; i++) {
+    costs[i * columns] = i * gapCost;
+    steps[i * columns] = STEP_MISSED;
+  }
+  for (let j = 1; j < columns; j++) {
+    costs[j] = j * gapCost;
+    steps[j] = STEP_EXTRA;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      const pitchCost =
+        referenceNotes[i - 1].midi === performedNotes[j - 1].midi ? 0 : substitutionCost;
+      const timeCost = timeWeight * Math.abs(referencePositions[i - 1] - performedPositions[j - 1]);
+
+      const pairCost = costs[(i - 1) * columns + j - 1] + pitchCost + timeCost;
+      const missedCost = costs[(i - 1) * columns + j] + gapCost;
+      const extraCost = costs[i * columns + j - 1] + gapCost;
+
+      const index = i * columns + j;
+      if (pairCost <= missedCost && pairCost <= extraCost) {
+        costs[index] = pairCost;
+        steps[index] = STEP_PAIR;
+      } else if (missedCost <= extraCost) {
+        costs[index] = missedCost;
+        steps[index] = STEP_MISSED;
+      } else {
+        costs[index] = extraCost;
+        steps[index] = STEP_EXTRA;
+      }
+    }
+  }
+
+  // Walk the warping path back from the end of both sequences
+  const pairs = [];
+  const missed = [];
+  const extra = [];
+  let i = rows - 1;
+  let j = columns - 1;
+  while (i > 0 || j > 0) {
+    const step = steps[i * columns + j];
+    if (step === STEP_PAIR) {
+      const referenceNote = referenceNotes[i - 1];
+      const performedNote = performedNotes[j - 1];
+      pairs.push({
+        reference: referenceNote,
+        performance: performedNote,
+        type: referenceNote.midi === performedNote.midi ? 'match' : 'substitution',
+      });
+      i--;
+      j--;
+    } else if (step === STEP_MISSED) {
+      missed.push(referenceNotes[--i]);
+    } else {
+      extra.push(performedNotes[--j]);
+    }
+  }
+  pairs.reverse();
+  missed.reverse();
+  extra.reverse();
+
+  return { pairs, missed, extra, cost: costs[rows * columns - 1] };
+};
+
+/**
+ * Align two note sequences
+ * @param {Array|Object} reference - Recorder events (teacher) or a parsed score
+ * @param {Array|Object} performance - Recorder events (student)
+ * @param {Object} options - Alignment options
+ * @param {number} options.timeWeight - Cost of a difference in position, per length of the reference (default: 2)
+ * @param {number} options.gapCost - Cost of a missed or extra note (default: 0.5)
+ * @param {number} options.substitutionCost - Cost of pairing two different pitches (default: 0.8)
+ * @param {number} options.chordWindow - Onsets closer than this in ms form a chord (default: 50)
+ * @returns {Object} { pairs, missed, extra, tempoRatio, matchRate, cost }
+ */
+export const alignPerformances = (
+  reference,
+  performance,
+  { timeWeight = 2, gapCost = 0.5, substitutionCost = 0.8, chordWindow = 50 } = {}
+) => {
+  const referenceNotes = orderChords(getSequenceNotes(reference), chordWindow);
+  const performedNotes = orderChords(getSequenceNotes(performance), chordWindow);
+  const costOptions = { timeWeight, gapCost, substitutionCost };
+
+  // Pair with the estimated tempo, then again with the tempo of the matches until it settles
+  let estimate = estimateTimeMap(referenceNotes, performedNotes, chordWindow);
+  let alignment = warpNotes(referenceNotes, performedNotes, estimate, costOptions);
+  for (let iteration = 0; iteration < MAX_TEMPO_ITERATIONS; iteration++) {
+    const fitted = fitTimeMap(alignment.pairs.filter(pair => pair.type === 'match'));
+    // Settled within 1% of the tempo and 10 ms
+    if (
+      !fitted ||
+      (Math.abs(fitted.ratio - estimate.ratio) < 0.01 * estimate.ratio &&
+        Math.abs(fitted.offset - estimate.offset) < 10)
+    ) {
+      break;
+    }
+    estimate = fitted;
+    alignment = warpNotes(referenceNotes, performedNotes, estimate, costOptions);
+  }
+  const { pairs, missed, extra } = alignment;
+
+  // Offsets against the overall tempo and against the neighbouring matches
+  const matches = pairs.filter(pair => pair.type === 'match');
+  const timeMap = fitTimeMap(matches) || estimate;
+  const getLocalExpectedTime = pair => {
+    // The closest matches at earlier and later onsets; chord notes are not neighbours
+    const start = pair.reference.start;
+    let previous = null;
+    let next = null;
+    matches.forEach(match => {
+      if (match.reference.start < start) previous = match;
+      else if (match.reference.start > start && !next) next = match;
+    });
+
+    if (previous && next) {
+      const progress =
+        (start - previous.reference.start) / (next.reference.start - previous.reference.start);
+      return (
+        previous.performance.start +
+        progress * (next.performance.start - previous.performance.start)
+      );
+    }
+    const neighbour = previous || next;
+    return neighbour
+      ? neighbour.performance.start + (start - neighbour.reference.start) * timeMap.ratio
+      : timeMap.offset + timeMap.ratio * start;
+  };
+
+  const alignedPairs = pairs.map(pair => {
+    const { reference: referenceNote, performance: performedNote } = pair;
+    const expectedDuration = referenceNote.duration * timeMap.ratio;
+    return {
+      ...pair,
+      offset: Math.round(
+        performedNote.start - (timeMap.offset + timeMap.ratio * referenceNote.start)
+      ),
+      localOffset: Math.round(performedNote.start - getLocalExpectedTime(pair)),
+      durationRatio:
+        expectedDuration > 0
+          ? Math.round((performedNote.duration / expectedDuration) * 1000) / 1000
+          : null,
+    };
+  });
+
+  return {
+    pairs: alignedPairs,
+    missed,
+    extra,
+    tempoRatio: Math.round(timeMap.ratio * 1000) / 1000,
+    matchRate:
+      referenceNotes.length > 0
+        ? Math.round((matches.length / referenceNotes.length) * 1000) / 1000
+        : 1,
+    cost: Math.round(alignment.cost * 1000) / 1000,
+  };
+};
+
+export default alignPerformances;
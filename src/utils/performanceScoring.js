@@ -0,0 +1,268 @@
+// src/utils/performanceScoring.js
+import { parseMusicXML } from './musicXmlParser';
+import { createPracticeFilter } from './practiceSteps';
+import { eventsToNotes } from './recordingNotes';
+
+/**
+ * Performance Scoring
+ *
+ * Compares a recorded performance with a MusicXML score. Played notes are matched
+ * to score notes of the same pitch whose expected onset is within a window; score
+ * notes left unmatched are missed and played notes left unmatched are extra.
+ *
+ * The report covers every score note, every measure and the whole performance:
+ * - completeness: share of score notes that were played
+ * - pitchAccuracy: share of played notes that belong to the score
+ * - onset deviation in ms (positive is late), mean signed and mean absolute
+ * - duration ratio: played length divided by written length
+ * - velocityConsistency: 1 minus the coefficient of variation of the velocities
+ * and a 0-100 score with a letter grade. A measure with nothing to play is only
+ * rated on its pitch accuracy when notes were played in it, and has no score
+ * or grade when it was left silent.
+ */
+
+export const PERFORMANCE_REPORT_FORMAT = 'react-piano-keyboard/performance-report';
+export const PERFORMANCE_REPORT_VERSION = 1;
+
+// Weights of the parts of the 0-100 score
+const SCORE_WEIGHTS = { completeness: 0.4, pitchAccuracy: 0.25, timing: 0.25, duration: 0.1 };
+
+// Lowest score for each grade, best first
+const GRADES = [
+  { grade: 'A', minScore: 90 },
+  { grade: 'B', minScore: 80 },
+  { grade: 'C', minScore: 70 },
+  { grade: 'D', minScore: 60 },
+  { grade: 'F', minScore: 0 },
+];
+
+const round = (value, digits = 3) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = values =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Get how even a set of velocities is
+ * @param {Array<number>} velocities - Velocities (0-1)
+ * @returns {number|null} 1 for identical velocities, lower as they spread; null for fewer than two
+ */
+const getVelocityConsistency = velocities => {
+  if (velocities.length < 2) return null;
+  const average = mean(velocities);
+  if (average === 0) return null;
+  const variance = mean(velocities.map(velocity => (velocity - average) ** 2));
+  return Math.max(0, 1 - Math.sqrt(variance) / average);
+};
+
+/**
+ * Get the letter grade for a score
+ * @param {number} score - Score from 0 to 100
+ * @returns {string} Grade from 'A' to 'F'
+ */
+export const getGrade = score => GRADES.find(({ minScore }) => score >= minScore).grade;
+
+/**
+ * Summarize the results of a group of notes (a measure or the whole performance)
+ * @param {Array} noteResults - Results of the score notes
+ * @param {Array} extraNotes - Played notes that are not in the score
+ * @param {number} matchWindow - Match window in ms, used to rate the timing
+ * @returns {Object} Counts, accuracies, timing, duration and velocity figures, score and grade
+ *   (null when nothing was expected or played)
+ */
+const summarize = (noteResults, extraNotes, matchWindow) => {
+  const correct = noteResults.filter(result => result.status === 'correct');
+  const deviations = correct.map(result => result.onsetDeviation);
+  const durationRatios = correct
+    .map(result => result.durationRatio)
+    .filter(ratio => ratio !== null);
+
+  const completeness = noteResults.length > 0 ? correct.length / noteResults.length : 1;
+  const playedCount = correct.length + extraNotes.length;
+  const pitchAccuracy = playedCount > 0 ? correct.length / playedCount : 1;
+  const meanAbsoluteDeviation = mean(deviations.map(Math.abs));
+  const meanDurationRatio = mean(durationRatios);
+
+  const timingRating =
+    meanAbsoluteDeviation === null ? 0 : 1 - Math.min(1, meanAbsoluteDeviation / matchWindow);
+  const durationRating =
+    meanDurationRatio === null ? 0 : 1 - Math.min(1, Math.abs(1 - meanDurationRatio));
+  let score = null;
+  if (noteResults.length > 0) {
+    score = Math.round(
+      100 *
+        (SCORE_WEIGHTS.completeness * completeness +
+          SCORE_WEIGHTS.pitchAccuracy * pitchAccuracy +
+          SCORE_WEIGHTS.timing * (correct.length > 0 ? timingRating : 0) +
+          SCORE_WEIGHTS.duration * (correct.length > 0 ? durationRating : 0))
+    );
+  } else if (extraNotes.length > 0) {
+    // Nothing to play: completeness, timing and duration do not apply
+    score = Math.round(100 * pitchAccuracy);
+  }
+
+  return {
+    expected: noteResults.length,
+    correct: correct.length,
+    missed: noteResults.length - correct.length,
+    extra: extraNotes.length,
+    completeness: round(completeness),
+    pitchAccuracy: round(pitchAccuracy),
+    meanOnsetDeviation: round(mean(deviations), 0),
+    meanAbsoluteOnsetDeviation: round(meanAbsoluteDeviation, 0),
+    meanDurationRatio: round(meanDurationRatio),
+    velocityConsistency: round(getVelocityConsistency(correct.map(result => result.velocity))),
+    score,
+    grade: score === null ? null : getGrade(score),
+  };
+};
+
+/**
+ * Find where the score starts in a recording
+ *
+ * Anchored to the first played note with a pitch of the score's first onset, so
+ * that a stray note before the piece starts does not shift every expected time.
+ * Falls back to the first played note when none of those pitches was played.
+ *
+ * @param {Array} scoreNotes - Scored notes sorted by time
+ * @param {Array} playedNotes - Played notes sorted by start
+ * @param {number} rate - Playback rate against the score's tempo
+ * @returns {number} Time in ms of the score's start in the recording
+ */
+const findStartOffset = (scoreNotes, playedNotes, rate) => {
+  if (playedNotes.length === 0 || scoreNotes.length === 0) return 0;
+  const firstOnset = scoreNotes.filter(note => note.time === scoreNotes[0].time);
+  const anchor = playedNotes.find(played => firstOnset.some(note => note.midi === played.midi));
+  return (anchor || playedNotes[0]).start - scoreNotes[0].time / rate;
+};
+
+/**
+ * Compare a recorded performance with a score
+ * @param {Object|string|Document} score - Parsed score from parseMusicXML, or MusicXML to parse
+ * @param {Array} events - Recorder events with recordTime in milliseconds
+ * @param {Object} options - Scoring options
+ * @param {number} options.tempo - Tempo the piece was played at, in quarter notes per minute (default: the score's tempo)
+ * @param {number} options.startOffset - Time in the recording where the score starts, in ms
+ *   (default: from the first played note with a pitch of the score's first onset)
+ * @param {number} options.matchWindow - How far in ms a note may be from its expected onset (default: 250)
+ * @param {string} options.hand - Only score one hand: 'both', 'right' or 'left' (default: 'both')
+ * @param {number|string} options.part - Only score one part, by index or id (default: every part)
+ * @returns {Object} Report with overall figures, measures, notes and extraNotes
+ */
+export const scorePerformance = (
+  score,
+  events,
+  { tempo = null, startOffset = null, matchWindow = 250, hand = 'both', part = null } = {}
+) => {
+  const parsedScore = score && score.timeline ? score : parseMusicXML(score);
+  const isScoredNote = createPracticeFilter(parsedScore, { hand, part });
+  const rate = tempo > 0 ? tempo / parsedScore.tempoMap[0].tempo : 1;
+
+  const scoreNotes = parsedScore.notes.filter(note => !note.isGrace && isScoredNote(note));
+  const playedNotes = eventsToNotes(events);
+  const offset =
+    startOffset !== null ? startOffset : findStartOffset(scoreNotes, playedNotes, rate);
+
+  // Match each score note to the closest unmatched played note of the same pitch
+  const matched = new Set();
+  const notes = scoreNotes.map(note => {
+    const expectedTime = offset + note.time / rate;
+    const expectedDuration = note.durationMs / rate;
+
+    let best = null;
+    playedNotes.forEach((played, index) => {
+      if (matched.has(index) || played.midi !== note.midi) return;
+      const distance = Math.abs(played.start - expectedTime);
+      if (distance <= matchWindow && (!best || distance < best.distance)) {
+        best = { index, distance };
+      }
+    });
+
+    const result = {
+      midi: note.midi,
+      note: note.note,
+      measure: note.measure,
+      part: note.part,
+      staff: note.staff,
+      expectedTime: Math.round(expectedTime),
+      expectedDuration: Math.round(expectedDuration),
+      status: best ? 'correct' : 'missed',
+      playedTime: null,
+      onsetDeviation: null,
+      durationRatio: null,
+      velocity: null,
+    };
+    if (!best) return result;
+
+    matched.add(best.index);
+    const played = playedNotes[best.index];
+    return {
+      ...result,
+      playedTime: played.start,
+      onsetDeviation: Math.round(played.start - expectedTime),
+      durationRatio: expectedDuration > 0 ? round(played.duration / expectedDuration) : null,
+      velocity: played.velocity,
+    };
+  });
+
+  // Played notes that match nothing belong to the measure they were played in
+  const { measures } = parsedScore;
+  const getMeasureAt = time => {
+    const scoreTime = (time - offset) * rate;
+    let index = 0;
+    while (index + 1 < measures.length && measures[index + 1].time <= scoreTime) index++;
+    return measures.length > 0 ? index : null;
+  };
+  const extraNotes = playedNotes
+    .filter((played, index) => !matched.has(index))
+    .map(played => ({
+      midi: played.midi,
+      note: played.note,
+      measure: getMeasureAt(played.start),
+      time: played.start,
+      duration: played.duration,
+      velocity: played.velocity,
+    }));
+
+  return {
+    title: parsedScore.title,
+    options: {
+      tempo: tempo || parsedScore.tempoMap[0].tempo,
+      startOffset: offset,
+      matchWindow,
+      hand,
+      part,
+    },
+    ...summarize(notes, extraNotes, matchWindow),
+    measures: measures.map((measure, index) => ({
+      index,
+      number: measure.number,
+      ...summarize(
+        notes.filter(note => note.measure === index),
+        extraNotes.filter(note => note.measure === index),
+        matchWindow
+      ),
+    })),
+    notes,
+    extraNotes,
+  };
+};
+
+/**
+ * Export a performance report as JSON
+ * @param {Object} report - Report from scorePerformance
+ * @returns {string} JSON document with format, version and creation date
+ */
+export const exportPerformanceReport = report =>
+  JSON.stringify(
+    {
+      format: PERFORMANCE_REPORT_FORMAT,
+      version: PERFORMANCE_REPORT_VERSION,
+      createdAt: new Date().toISOString(),
+      ...report,
+    },
+    null,
+    2
+  );
+
+export default scorePerformance;
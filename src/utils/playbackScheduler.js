@@ -0,0 +1,228 @@
+// src/utils/playbackScheduler.js
+import * as Tone from 'tone';
+
+/**
+ * Playback Scheduler
+ *
+ * A lookahead scheduler driven by the audio clock. A short timer running on Tone's
+ * clock source (a Web Worker, so it keeps ticking in throttled background tabs)
+ * dispatches every event that falls inside the next lookahead window, together with
+ * the exact AudioContext time at which it should sound.
+ *
+ * Positions are expressed in milliseconds of the original (unscaled) timeline;
+ * audio times passed to callbacks are AudioContext seconds. The audio clock stands
+ * still while the context is suspended, so play starts a suspended context; browsers
+ * only allow this from a user gesture.
+ */
+
+export const PLAYBACK_STATE = {
+  STOPPED: 'stopped',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+};
+
+/**
+ * Creates a playback scheduler for a list of timed events
+ * @param {Object} options - Scheduler options
+ * @param {Array} options.events - Events with a `time` property in milliseconds
+ * @param {Function} options.onEvent - Called as onEvent(event, audioTime) for each event
+ * @param {Function} options.onProgress - Called with the current position in ms while playing
+ * @param {Function} options.onFinish - Called when playback reaches the end
+ * @param {Function} options.onInterrupt - Called with the current audio time when pause, seek or stop cuts playback short
+ * @param {number} options.playbackRate - Speed multiplier (default: 1)
+ * @param {number} options.duration - Timeline length in ms (default: time of the last event)
+ * @param {number} options.lookahead - How far ahead to schedule, in seconds (default: 0.1)
+ * @param {number} options.interval - How often the scheduler wakes up, in seconds (default: 0.025)
+ * @param {number} options.progressInterval - Minimum ms between progress callbacks (default: 50)
+ * @returns {Object} Scheduler with transport controls
+ */
+export const createPlaybackScheduler = ({
+  events = [],
+  onEvent = null,
+  onProgress = null,
+  onFinish = null,
+  onInterrupt = null,
+  playbackRate = 1,
+  duration = null,
+  lookahead = 0.1,
+  interval = 0.025,
+  progressInterval = 50,
+} = {}) => {
+  const sortedEvents = [...events].sort((a, b) => a.time - b.time);
+  const endPosition =
+    duration !== null
+      ? duration
+      : sortedEvents.length > 0
+        ? sortedEvents[sortedEvents.length - 1].time
+        : 0;
+
+  let state = PLAYBACK_STATE.STOPPED;
+  let rate = playbackRate > 0 ? playbackRate : 1;
+  let intervalId = null;
+
+  // The timeline position (ms) that corresponds to anchorAudioTime (s)
+  let anchorPosition = 0;
+  let anchorAudioTime = 0;
+
+  // Position to resume from when not playing
+  let heldPosition = 0;
+
+  // Index of the next event that has not been dispatched yet
+  let cursor = 0;
+  let lastProgressTime = -Infinity;
+
+  const getContext = () => Tone.getContext();
+  const audioNow = () => getContext().immediate();
+
+  const positionAt = audioTime => anchorPosition + (audioTime - anchorAudioTime) * 1000 * rate;
+  const audioTimeAt = position => anchorAudioTime + (position - anchorPosition) / 1000 / rate;
+
+  const findCursor = position => {
+    const index = sortedEvents.findIndex(event => event.time >= position);
+    return index === -1 ? sortedEvents.length : index;
+  };
+
+  const clearTimer = () => {
+    if (intervalId !== null) {
+      getContext().clearInterval(intervalId);
+      intervalId = null;
+    }
+  };
+
+  const tick = () => {
+    if (state !== PLAYBACK_STATE.PLAYING) return;
+
+    const now = audioNow();
+    const windowEnd = positionAt(now + lookahead);
+
+    // Dispatch every event inside the lookahead window with its exact audio time
+    while (cursor < sortedEvents.length && sortedEvents[cursor].time < windowEnd) {
+      const event = sortedEvents[cursor];
+      cursor++;
+      if (onEvent) onEvent(event, Math.max(now, audioTimeAt(event.time)));
+    }
+
+    const position = Math.min(positionAt(now), endPosition);
+
+    if (onProgress && (now - lastProgressTime) * 1000 >= progressInterval) {
+      lastProgressTime = now;
+      onProgress(position);
+    }
+
+    if (cursor >= sortedEvents.length && position >= endPosition) {
+      clearTimer();
+      state = PLAYBACK_STATE.STOPPED;
+      heldPosition = 0;
+      if (onProgress) onProgress(endPosition);
+      if (onFinish) onFinish();
+    }
+  };
+
+  const startFrom = position => {
+    if (getContext().state !== 'running') {
+      Tone.start().catch(error => console.error('Error starting audio for playback:', error));
+    }
+    clearTimer();
+    anchorPosition = Math.max(0, Math.min(position, endPosition));
+    anchorAudioTime = audioNow();
+    cursor = findCursor(anchorPosition);
+    lastProgressTime = -Infinity;
+    state = PLAYBACK_STATE.PLAYING;
+    intervalId = getContext().setInterval(tick, interval);
+    tick();
+  };
+
+  /**
+   * Get the current playback position
+   * @returns {number} Position in ms
+   */
+  const getPosition = () => {
+    if (state !== PLAYBACK_STATE.PLAYING) return heldPosition;
+    return Math.min(positionAt(audioNow()), endPosition);
+  };
+
+  /**
+   * Start playback
+   * @param {number} position - Position in ms to start from (default: current position)
+   */
+  const play = (position = getPosition()) => {
+    startFrom(position);
+  };
+
+  /**
+   * Pause playback, keeping the current position
+   */
+  const pause = () => {
+    if (state !== PLAYBACK_STATE.PLAYING) return;
+    heldPosition = getPosition();
+    clearTimer();
+    state = PLAYBACK_STATE.PAUSED;
+    if (onInterrupt) onInterrupt(audioNow());
+  };
+
+  /**
+   * Resume playback from the paused position
+   */
+  const resume = () => {
+    if (state === PLAYBACK_STATE.PLAYING) return;
+    startFrom(heldPosition);
+  };
+
+  /**
+   * Jump to a position
+   * @param {number} position - Position in ms
+   */
+  const seek = position => {
+    if (state === PLAYBACK_STATE.PLAYING) {
+      if (onInterrupt) onInterrupt(audioNow());
+      startFrom(position);
+    } else {
+      heldPosition = Math.max(0, Math.min(position, endPosition));
+    }
+  };
+
+  /**
+   * Change the playback speed without changing the position
+   * @param {number} newRate - Speed multiplier (1 = original speed)
+   */
+  const setPlaybackRate = newRate => {
+    if (!(newRate > 0)) {
+      console.error('Invalid playback rate:', newRate);
+      return;
+    }
+
+    if (state === PLAYBACK_STATE.PLAYING) {
+      // Re-anchor so the position is continuous across the rate change
+      const now = audioNow();
+      anchorPosition = positionAt(now);
+      anchorAudioTime = now;
+    }
+    rate = newRate;
+  };
+
+  /**
+   * Stop playback and rewind to the start
+   */
+  const stop = () => {
+    const wasActive = state !== PLAYBACK_STATE.STOPPED;
+    clearTimer();
+    state = PLAYBACK_STATE.STOPPED;
+    heldPosition = 0;
+    if (wasActive && onInterrupt) onInterrupt(audioNow());
+  };
+
+  return {
+    play,
+    pause,
+    resume,
+    seek,
+    stop,
+    setPlaybackRate,
+    getPosition,
+    getPlaybackRate: () => rate,
+    getState: () => state,
+    getDuration: () => endPosition,
+  };
+};
+
+export default createPlaybackScheduler;
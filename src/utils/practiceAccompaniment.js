@@ -0,0 +1,197 @@
+// src/utils/practiceAccompaniment.js
+import * as Tone from 'tone';
+
+import { createScorePlayer } from './scorePlayer';
+
+/**
+ * Practice Accompaniment
+ *
+ * Plays the notes a student is not practicing (the other hand or the other
+ * parts) during a practice session. In real-time mode the session's score player
+ * uses the callbacks directly; in wait mode the accompaniment between two steps
+ * is played as a short segment each time the student completes a step. Notes of
+ * a segment still sounding when the next one starts ring until their written
+ * end, so a held bass note is not cut off by the moving melody.
+ */
+
+/**
+ * Build a score holding only the notes that start in a time range
+ *
+ * Used to play the accompaniment between two steps in wait mode.
+ *
+ * @param {Object} score - Parsed score from parseMusicXML
+ * @param {Function} filter - Returns true for the notes to keep
+ * @param {number} from - Start of the range in ms (inclusive)
+ * @param {number} to - End of the range in ms (exclusive)
+ * @returns {Object|null} Score for createScorePlayer, or null if no notes start in the range
+ */
+const buildScoreSegment = (score, filter, from, to) => {
+  const inRange = note => filter(note) && note.time >= from && note.time < to;
+  const timeline = score.timeline
+    .map(onset => ({
+      ...onset,
+      notes: onset.notes.filter(inRange),
+      graceNotes: onset.graceNotes.filter(inRange),
+    }))
+    .filter(onset => onset.notes.length > 0 || onset.graceNotes.length > 0);
+  if (timeline.length === 0) return null;
+
+  const notes = timeline.flatMap(onset => [...onset.graceNotes, ...onset.notes]);
+  return {
+    ...score,
+    measures: [],
+    notes,
+    timeline,
+    duration: Math.max(...notes.map(note => note.time + note.durationMs)),
+  };
+};
+
+/**
+ * Creates the accompaniment of a practice session
+ * @param {Object} score - Parsed score from parseMusicXML
+ * @param {Object} options - Accompaniment options
+ * @param {Function} options.isAccompanimentNote - Returns true for score notes to accompany with
+ * @param {Function} options.noteOn - Called as noteOn(note, velocity, time) to sound a note
+ * @param {Function} options.noteOff - Called as noteOff(note, time) to release a note
+ * @param {Function} options.onNoteStart - Called with a note name when a note is heard
+ * @param {Function} options.onNoteEnd - Called with a note name when a note stops
+ * @returns {Object} { callbacks, playSegment, pause, resume, stop }
+ */
+export const createPracticeAccompaniment = (
+  score,
+  { isAccompanimentNote, noteOn = null, noteOff = null, onNoteStart = null, onNoteEnd = null }
+) => {
+  let segmentPlayer = null;
+
+  // Notes of the playing segment by name as { time, end, released }, and notes of
+  // earlier segments left to ring as { timer, released }
+  let segmentNotes = new Map();
+  const ringingNotes = new Map();
+  // Set while a segment is stopped without releasing its notes
+  let detaching = false;
+
+  // Score player callbacks that only sound and show accompaniment notes
+  const callbacks = {
+    noteOn: (note, velocity, time, scoreNote) => {
+      if (noteOn && isAccompanimentNote(scoreNote)) noteOn(note, velocity, time);
+    },
+    noteOff: (note, time, scoreNote) => {
+      if (noteOff && isAccompanimentNote(scoreNote)) noteOff(note, time);
+    },
+    onNoteStart: (note, scoreNote) => {
+      if (onNoteStart && isAccompanimentNote(scoreNote)) onNoteStart(note);
+    },
+    onNoteEnd: (note, scoreNote) => {
+      if (onNoteEnd && isAccompanimentNote(scoreNote)) onNoteEnd(note);
+    },
+  };
+
+  /**
+   * Release a ringing note
+   * @param {string} note - Note name
+   * @param {number} time - Audio time of the release
+   */
+  const releaseRingingNote = (note, time) => {
+    const { timer, released } = ringingNotes.get(note);
+    Tone.getContext().clearTimeout(timer);
+    ringingNotes.delete(note);
+    if (noteOff && !released) noteOff(note, time);
+    if (onNoteEnd) onNoteEnd(note);
+  };
+
+  const releaseRingingNotes = () => {
+    const now = Tone.getContext().immediate();
+    [...ringingNotes.keys()].forEach(note => releaseRingingNote(note, now));
+  };
+
+  /**
+   * Callbacks for a segment's player, which keep track of its sounding notes
+   * @param {number} rate - Playback speed of the segment
+   * @returns {Object} Score player callbacks
+   */
+  const createSegmentCallbacks = rate => ({
+    noteOn: (note, velocity, time, scoreNote) => {
+      if (!isAccompanimentNote(scoreNote)) return;
+      // The note is struck again, so the ringing one ends here
+      if (ringingNotes.has(note)) releaseRingingNote(note, time);
+      const end = time + scoreNote.durationMs / 1000 / rate;
+      segmentNotes.set(note, { time, end, released: false });
+      callbacks.noteOn(note, velocity, time, scoreNote);
+    },
+    noteOff: (note, time, scoreNote) => {
+      if (detaching || !isAccompanimentNote(scoreNote)) return;
+      // Note-offs are queued ahead of time, so the note may still be heard for a moment
+      const sounding = segmentNotes.get(note);
+      if (sounding) segmentNotes.set(note, { ...sounding, end: time, released: true });
+      callbacks.noteOff(note, time, scoreNote);
+    },
+    onNoteStart: callbacks.onNoteStart,
+    onNoteEnd: (note, scoreNote) => {
+      if (detaching) return;
+      segmentNotes.delete(note);
+      callbacks.onNoteEnd(note, scoreNote);
+    },
+  });
+
+  /**
+   * Stop the playing segment and let its sounding notes ring until their written end
+   */
+  const detachSegment = () => {
+    if (!segmentPlayer) return;
+    // Stopping the player would release and hide its notes; keep them instead
+    detaching = true;
+    segmentPlayer.stop();
+    detaching = false;
+    segmentPlayer = null;
+    const sounding = segmentNotes;
+    segmentNotes = new Map();
+
+    const context = Tone.getContext();
+    const now = context.immediate();
+    sounding.forEach(({ time, end, released }, note) => {
+      // The player cancelled the display of notes struck within its lookahead
+      if (time > now && onNoteStart) onNoteStart(note);
+      const timer = context.setTimeout(() => releaseRingingNote(note, end), Math.max(0, end - now));
+      ringingNotes.set(note, { timer, released });
+    });
+  };
+
+  /**
+   * Stop the segment that is playing and the notes left ringing
+   */
+  const stop = () => {
+    if (segmentPlayer) segmentPlayer.stop();
+    segmentPlayer = null;
+    segmentNotes = new Map();
+    releaseRingingNotes();
+  };
+
+  /**
+   * Play the accompaniment notes that start between two times; notes of the
+   * previous segment that are still sounding ring until their written end
+   * @param {number} from - Start time in ms
+   * @param {number} to - End time in ms
+   * @param {number} tempo - Tempo in quarter notes per minute (null for the score's tempo)
+   */
+  const playSegment = (from, to, tempo = null) => {
+    detachSegment();
+    const segment = buildScoreSegment(score, isAccompanimentNote, from, to);
+    if (!segment) return;
+    const rate = tempo > 0 ? tempo / score.tempoMap[0].tempo : 1;
+    segmentPlayer = createScorePlayer(segment, { ...createSegmentCallbacks(rate), tempo });
+    segmentPlayer.play(from);
+  };
+
+  return {
+    callbacks,
+    playSegment,
+    pause: () => {
+      releaseRingingNotes();
+      if (segmentPlayer) segmentPlayer.pause();
+    },
+    resume: () => segmentPlayer && segmentPlayer.resume(),
+    stop,
+  };
+};
+
+export default createPracticeAccompaniment;
@@ -0,0 +1,440 @@
+// src/utils/practiceSession.js
+import { getMidiNoteName } from './midiUtils';
+import { parseMusicXML } from './musicXmlParser';
+import { createPracticeAccompaniment } from './practiceAccompaniment';
+import {
+  buildPracticeSteps,
+  createPracticeFilter,
+  createStepProgress,
+  findStepRange,
+  getStepResult,
+  PRACTICE_HANDS,
+  resolvePlayedNote,
+} from './practiceSteps';
+import { createScorePlayer } from './scorePlayer';
+
+/**
+ * Practice Session
+ *
+ * Walks a student through a MusicXML score. A cursor points at the current step
+ * (the note or chord at one onset); its notes are highlighted on the keyboard and
+ * played notes are checked against them.
+ *
+ * In wait mode the cursor only moves on once every note of the step has been
+ * played. In real-time mode the score runs at tempo: notes count when they fall
+ * within the timing window of their step, and steps left unplayed are missed.
+ *
+ * For hands-separate practice the student plays one hand or part; the other
+ * notes are played as an accompaniment and shown with their own highlight.
+ */
+
+export const PRACTICE_MODE = {
+  WAIT: 'wait',
+  REALTIME: 'realtime',
+};
+
+export const PRACTICE_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+};
+
+/**
+ * Creates a practice session for a score
+ * @param {Object|string|Document} score - Parsed score from parseMusicXML, or MusicXML to parse
+ * @param {Object} options - Session options
+ * @param {string} options.mode - 'wait' or 'realtime' (default: 'wait')
+ * @param {number} options.tempo - Tempo in real-time mode, in quarter notes per minute (default: the score's tempo)
+ * @param {number} options.timingWindow - Ms a note may be early or late in real-time mode (default: 150)
+ * @param {string} options.hand - Hand to practice: 'both', 'right' (first staff) or 'left' (lower staves) (default: 'both')
+ * @param {number|string} options.part - Part index or id to practice (default: every part)
+ * @param {boolean} options.playAccompaniment - Play the notes the student does not practice (default: true)
+ * @param {Function} options.noteOn - Called as noteOn(note, velocity, time) to sound an accompaniment note
+ * @param {Function} options.noteOff - Called as noteOff(note, time) to release an accompaniment note
+ * @param {Function} options.showAccompanimentNote - Called with a note name when an accompaniment note is heard
+ * @param {Function} options.hideAccompanimentNote - Called with a note name when an accompaniment note stops
+ * @param {Function} options.highlightNote - Called with a note name to highlight an expected note
+ * @param {Function} options.unhighlightNote - Called with a note name to remove a highlight
+ * @param {Function} options.onStep - Called with the step when the cursor reaches it
+ * @param {Function} options.onStepComplete - Called with the step result when a step is completed or missed
+ * @param {Function} options.onWrongNote - Called as onWrongNote(midiNote, step) for a note that is not expected
+ * @param {Function} options.onLoop - Called with the number of completed passes when a loop starts over
+ * @param {Function} options.onComplete - Called with a summary when the end of the score is reached
+ * @returns {Object} Practice session
+ */
+export const createPracticeSession = (
+  score,
+  {
+    mode = PRACTICE_MODE.WAIT,
+    tempo = null,
+    timingWindow = 150,
+    hand = PRACTICE_HANDS.BOTH,
+    part = null,
+    playAccompaniment = true,
+    noteOn = null,
+    noteOff = null,
+    showAccompanimentNote = null,
+    hideAccompanimentNote = null,
+    highlightNote = null,
+    unhighlightNote = null,
+    onStep = null,
+    onStepComplete = null,
+    onWrongNote = null,
+    onLoop = null,
+    onComplete = null,
+  } = {}
+) => {
+  const parsedScore = score && score.timeline ? score : parseMusicXML(score);
+  const isPracticeNote = createPracticeFilter(parsedScore, { hand, part });
+  const isAccompanimentNote = note => playAccompaniment && !isPracticeNote(note);
+  const steps = buildPracticeSteps(parsedScore, isPracticeNote);
+  const baseTempo = parsedScore.tempoMap[0].tempo;
+
+  let state = PRACTICE_STATE.IDLE;
+  let cursor = -1;
+  let range = null;
+  let loops = 0;
+  let progress = steps.map(createStepProgress);
+  const highlighted = new Set();
+
+  // In real-time mode, steps before this index were skipped by a seek
+  let activeFrom = 0;
+  let player = null;
+
+  const accompaniment = createPracticeAccompaniment(parsedScore, {
+    isAccompanimentNote,
+    noteOn,
+    noteOff,
+    onNoteStart: showAccompanimentNote,
+    onNoteEnd: hideAccompanimentNote,
+  });
+
+  const firstStep = () => (range ? range.first : 0);
+  const lastStep = () => (range ? range.last : steps.length - 1);
+
+  const setHighlights = midiNotes => {
+    const names = new Set(midiNotes.map(getMidiNoteName));
+    highlighted.forEach(name => {
+      if (!names.has(name) && unhighlightNote) unhighlightNote(name);
+    });
+    names.forEach(name => {
+      if (!highlighted.has(name) && highlightNote) highlightNote(name);
+    });
+    highlighted.clear();
+    names.forEach(name => highlighted.add(name));
+  };
+
+  const resetProgress = (from, to) => {
+    for (let i = from; i <= to; i++) progress[i] = createStepProgress(steps[i]);
+  };
+
+  const closeStep = index => {
+    const stepProgress = progress[index];
+    if (stepProgress.status !== 'pending') return;
+    stepProgress.status = stepProgress.pending.size === 0 ? 'complete' : 'missed';
+    if (onStepComplete) onStepComplete(getStepResult(steps[index], stepProgress));
+  };
+
+  const getSummary = () => {
+    const results = progress.map((stepProgress, index) =>
+      getStepResult(steps[index], stepProgress)
+    );
+    return {
+      steps: steps.length,
+      completed: results.filter(result => result.status === 'complete').length,
+      missed: results.filter(result => result.status === 'missed').length,
+      wrongNotes: results.reduce((total, result) => total + result.wrongNotes.length, 0),
+      loops,
+    };
+  };
+
+  const finish = () => {
+    state = PRACTICE_STATE.FINISHED;
+    setHighlights([]);
+    if (onComplete) onComplete(getSummary());
+  };
+
+  const enterStep = index => {
+    cursor = index;
+    setHighlights([...progress[index].pending]);
+    if (onStep) onStep(steps[index]);
+  };
+
+  // Wait mode: time where the accompaniment after a step stops to wait for the next one
+  const getSegmentEnd = index => {
+    if (index < lastStep()) return steps[index + 1].time;
+    if (!range) return Infinity;
+    const measure = parsedScore.measures[steps[range.last].measure];
+    return measure.time + measure.durationMs;
+  };
+
+  // Wait mode: move on once the current step is complete
+  const advance = () => {
+    if (cursor < lastStep()) {
+      enterStep(cursor + 1);
+    } else if (range) {
+      loops++;
+      resetProgress(range.first, range.last);
+      if (onLoop) onLoop(loops);
+      enterStep(range.first);
+    } else {
+      finish();
+    }
+  };
+
+  // Real-time mode: the timing window in score milliseconds at the current tempo
+  const getScoreWindow = () => (timingWindow * player.getTempo()) / baseTempo;
+
+  // Real-time mode: close the steps whose timing window has passed
+  const closeStepsBefore = position => {
+    const scoreWindow = getScoreWindow();
+    for (let i = activeFrom; i < steps.length && steps[i].endTime + scoreWindow <= position; i++) {
+      closeStep(i);
+    }
+  };
+
+  // Real-time mode: the player reached the step at a position
+  const handleScoreNote = scoreNote => {
+    const index = steps.findIndex(step => step.position === scoreNote.position);
+    if (index === -1 || index === cursor || scoreNote.isGrace) return;
+
+    // Jumping back means a loop started over
+    if (range && cursor !== -1 && index < cursor) {
+      for (let i = range.first; i <= range.last; i++) closeStep(i);
+      loops++;
+      resetProgress(range.first, range.last);
+      if (onLoop) onLoop(loops);
+    }
+    enterStep(index);
+  };
+
+  const createPlayer = () => {
+    const scorePlayer = createScorePlayer(parsedScore, {
+      ...accompaniment.callbacks,
+      tempo,
+      onNote: handleScoreNote,
+      onProgress: closeStepsBefore,
+      onFinish: () => {
+        for (let i = activeFrom; i < steps.length; i++) closeStep(i);
+        finish();
+      },
+    });
+    if (range) scorePlayer.setLoop(steps[range.first].measure, steps[range.last].measure);
+    return scorePlayer;
+  };
+
+  /**
+   * Handle a played note
+   * @param {string|number|Object} note - Note name, MIDI note number or MIDI message
+   */
+  const handleNoteOn = note => {
+    if (state !== PRACTICE_STATE.RUNNING) return;
+    const midi = resolvePlayedNote(note);
+    if (midi === null) return;
+
+    if (mode === PRACTICE_MODE.WAIT) {
+      const stepProgress = progress[cursor];
+      if (stepProgress.pending.has(midi)) {
+        stepProgress.pending.delete(midi);
+        stepProgress.played.push(midi);
+        setHighlights([...stepProgress.pending]);
+        if (stepProgress.pending.size === 0) {
+          closeStep(cursor);
+          accompaniment.playSegment(steps[cursor].time, getSegmentEnd(cursor), tempo);
+          advance();
+        }
+      } else if (!stepProgress.played.includes(midi)) {
+        stepProgress.wrongNotes.push(midi);
+        if (onWrongNote) onWrongNote(midi, steps[cursor]);
+      }
+      return;
+    }
+
+    // Real-time mode: the earliest open step within its timing window takes the note
+    const position = player.getPosition();
+    const rate = player.getTempo() / baseTempo;
+    const scoreWindow = getScoreWindow();
+    const index = steps.findIndex(
+      (step, i) =>
+        i >= activeFrom &&
+        progress[i].pending.has(midi) &&
+        step.time - scoreWindow <= position &&
+        step.endTime + scoreWindow > position
+    );
+
+    if (index === -1) {
+      const current = Math.max(cursor, activeFrom);
+      if (progress[current]) progress[current].wrongNotes.push(midi);
+      if (onWrongNote) onWrongNote(midi, steps[current] || null);
+      return;
+    }
+
+    const stepProgress = progress[index];
+    stepProgress.pending.delete(midi);
+    stepProgress.played.push(midi);
+    stepProgress.timing.push({
+      midi,
+      deviation: Math.round((position - steps[index].time) / rate),
+    });
+    if (index === cursor) setHighlights([...stepProgress.pending]);
+    if (stepProgress.pending.size === 0) closeStep(index);
+  };
+
+  /**
+   * Handle a MIDI message (note-ons are checked, everything else is ignored)
+   * @param {Object} message - MIDI message
+   */
+  const handleMidiMessage = message => {
+    if (message.type === 'noteon' && message.velocity > 0) handleNoteOn(message);
+  };
+
+  /**
+   * Start (or restart) the session from the beginning or the loop start
+   */
+  const start = () => {
+    if (steps.length === 0) {
+      console.error('The score has no notes to practice');
+      return;
+    }
+
+    if (player) player.stop();
+    accompaniment.stop();
+    progress = steps.map(createStepProgress);
+    loops = 0;
+    cursor = -1;
+    activeFrom = firstStep();
+    state = PRACTICE_STATE.RUNNING;
+
+    if (mode === PRACTICE_MODE.WAIT) {
+      // Play any accompaniment that leads into the first step
+      if (!range) accompaniment.playSegment(0, steps[0].time, tempo);
+      enterStep(firstStep());
+    } else {
+      player = createPlayer();
+      player.play(steps[firstStep()].time);
+    }
+  };
+
+  /**
+   * Stop the session and clear the highlights
+   */
+  const stop = () => {
+    if (player) player.stop();
+    accompaniment.stop();
+    state = PRACTICE_STATE.IDLE;
+    cursor = -1;
+    setHighlights([]);
+  };
+
+  /**
+   * Move the cursor to the first step of a measure
+   * @param {number} measureIndex - Measure index
+   */
+  const seekToMeasure = measureIndex => {
+    const index = steps.findIndex(step => step.measure >= measureIndex);
+    if (index === -1) {
+      console.error('No notes to practice from measure', measureIndex);
+      return;
+    }
+
+    if (mode === PRACTICE_MODE.WAIT) {
+      resetProgress(index, index);
+      if (state === PRACTICE_STATE.RUNNING) enterStep(index);
+      else cursor = index;
+      return;
+    }
+
+    activeFrom = index;
+    resetProgress(index, steps.length - 1);
+    if (player) player.seekToMeasure(steps[index].measure);
+  };
+
+  /**
+   * Loop a range of measures
+   * @param {number} startMeasure - Index of the first measure
+   * @param {number} endMeasure - Index of the last measure (default: startMeasure)
+   */
+  const setLoop = (startMeasure, endMeasure = startMeasure) => {
+    const stepRange = findStepRange(steps, startMeasure, endMeasure);
+    if (!stepRange) {
+      console.error('Invalid loop range:', startMeasure, endMeasure);
+      return;
+    }
+    range = stepRange;
+    loops = 0;
+    if (player) player.setLoop(steps[range.first].measure, steps[range.last].measure);
+
+    // Jump into the loop when the cursor is outside it
+    if (state === PRACTICE_STATE.RUNNING && (cursor < range.first || cursor > range.last)) {
+      if (mode === PRACTICE_MODE.WAIT) {
+        resetProgress(range.first, range.last);
+        enterStep(range.first);
+      } else {
+        seekToMeasure(steps[range.first].measure);
+      }
+    }
+  };
+
+  return {
+    start,
+    stop,
+    pause: () => {
+      if (state !== PRACTICE_STATE.RUNNING) return;
+      state = PRACTICE_STATE.PAUSED;
+      if (player) player.pause();
+      accompaniment.pause();
+    },
+    resume: () => {
+      if (state !== PRACTICE_STATE.PAUSED) return;
+      state = PRACTICE_STATE.RUNNING;
+      if (player) player.resume();
+      accompaniment.resume();
+    },
+    handleNoteOn,
+    handleMidiMessage,
+    seekToMeasure,
+    setLoop,
+    clearLoop: () => {
+      range = null;
+      if (player) player.clearLoop();
+    },
+    setTempo: newTempo => {
+      tempo = newTempo;
+      if (player) player.setTempo(newTempo);
+    },
+    getMode: () => mode,
+    getState: () => state,
+    getCursor: () => cursor,
+    getCurrentStep: () => steps[cursor] || null,
+    getSteps: () => steps,
+    getResults: () =>
+      progress.map((stepProgress, index) => getStepResult(steps[index], stepProgress)),
+    getSummary,
+    getScore: () => parsedScore,
+  };
+};
+
+/**
+ * Creates a function that starts practice sessions on a piano's keys and audio engine
+ * @param {Object} handlersRef - Ref whose current value holds playNote, stopNote,
+ *   activateNote, deactivateNote, highlightNote and unhighlightNote
+ * @returns {Function} practiceScore(score, options) that returns a practice session
+ */
+export const createPracticeFunction =
+  handlersRef =>
+  (score, options = {}) => {
+    const handlers = () => handlersRef.current;
+
+    return createPracticeSession(score, {
+      highlightNote: note => handlers().highlightNote(note),
+      unhighlightNote: note => handlers().unhighlightNote(note),
+      noteOn: (note, velocity, time) => handlers().playNote(note, velocity, time),
+      noteOff: (note, time) => handlers().stopNote(note, time),
+      showAccompanimentNote: note => handlers().activateNote(note, 'accompaniment'),
+      hideAccompanimentNote: note => handlers().deactivateNote(note, 'accompaniment'),
+      ...options,
+    });
+  };
+
+export default createPracticeSession;
@@ -0,0 +1,123 @@
+// src/utils/practiceSteps.js
+import { getMidiNoteNumber } from './midiUtils';
+
+/**
+ * Practice Steps
+ *
+ * Helpers for the practice session: a score is read as a sequence of steps, one
+ * per onset, each holding the notes (a single note or a chord) the student has
+ * to play there. Grace notes are not required.
+ */
+
+export const PRACTICE_HANDS = {
+  BOTH: 'both',
+  RIGHT: 'right',
+  LEFT: 'left',
+};
+
+/**
+ * Create a filter for the notes a student practices
+ *
+ * The right hand plays the first (treble) staff of a part and the left hand the
+ * staves below it.
+ *
+ * @param {Object} score - Parsed score from parseMusicXML
+ * @param {Object} selection - Notes to practice
+ * @param {string} selection.hand - 'both', 'right' or 'left' (default: 'both')
+ * @param {number|string} selection.part - Part index or id (default: every part)
+ * @returns {Function} Returns true for score notes the student plays
+ */
+export const createPracticeFilter = (score, { hand = PRACTICE_HANDS.BOTH, part = null } = {}) => {
+  const partIndex =
+    typeof part === 'string' ? score.parts.findIndex(scorePart => scorePart.id === part) : part;
+
+  return note => {
+    if (partIndex !== null && note.part !== partIndex) return false;
+    if (hand === PRACTICE_HANDS.RIGHT) return note.staff === 1;
+    if (hand === PRACTICE_HANDS.LEFT) return note.staff > 1;
+    return true;
+  };
+};
+
+/**
+ * Build the practice steps of a parsed score
+ * @param {Object} score - Parsed score from parseMusicXML
+ * @param {Function} isPracticeNote - Returns true for score notes the student plays (default: all)
+ * @returns {Array} Steps as { index, measure, position, time, endTime, notes, expected }
+ */
+export const buildPracticeSteps = (score, isPracticeNote = () => true) => {
+  const onsets = score.timeline
+    .map(onset => ({ ...onset, notes: onset.notes.filter(isPracticeNote) }))
+    .filter(onset => onset.notes.length > 0);
+
+  return onsets.map((onset, index) => {
+    const next = onsets[index + 1];
+    return {
+      index,
+      measure: onset.measure,
+      position: onset.position,
+      time: onset.time,
+      // A step stays playable until the next one starts (or its longest note ends)
+      endTime: next
+        ? next.time
+        : onset.time + Math.max(...onset.notes.map(note => note.durationMs)),
+      notes: onset.notes,
+      expected: [...new Set(onset.notes.map(note => note.midi))],
+    };
+  });
+};
+
+/**
+ * Get the MIDI note number of a played note
+ * @param {string|number|Object} note - Note name, MIDI number or MIDI message
+ * @returns {number|null} MIDI note number
+ */
+export const resolvePlayedNote = note => {
+  if (typeof note === 'number') return note;
+  if (typeof note === 'string') return getMidiNoteNumber(note);
+  if (note && note.rawNote) return note.rawNote.number;
+  return note && note.note ? resolvePlayedNote(note.note) : null;
+};
+
+/**
+ * Create the progress record of a step
+ * @param {Object} step - Practice step
+ * @returns {Object} { status, pending, played, wrongNotes, timing }
+ */
+export const createStepProgress = step => ({
+  status: 'pending',
+  pending: new Set(step.expected),
+  played: [],
+  wrongNotes: [],
+  timing: [],
+});
+
+/**
+ * Summarize a step's progress for callbacks and results
+ * @param {Object} step - Practice step
+ * @param {Object} progress - Progress record from createStepProgress
+ * @returns {Object} { index, measure, status, expected, played, missed, wrongNotes, timing }
+ */
+export const getStepResult = (step, progress) => ({
+  index: step.index,
+  measure: step.measure,
+  status: progress.status,
+  expected: step.expected,
+  played: [...progress.played],
+  missed: [...progress.pending],
+  wrongNotes: [...progress.wrongNotes],
+  timing: [...progress.timing],
+});
+
+/**
+ * Find the range of steps inside a range of measures
+ * @param {Array} steps - Practice steps
+ * @param {number} startMeasure - Index of the first measure
+ * @param {number} endMeasure - Index of the last measure
+ * @returns {Object|null} { first, last } step indices, or null if the measures hold no steps
+ */
+export const findStepRange = (steps, startMeasure, endMeasure) => {
+  const inRange = steps.filter(step => step.measure >= startMeasure && step.measure <= endMeasure);
+  if (inRange.length === 0) return null;
+  return { first: inRange[0].index, last: inRange[inRange.length - 1].index };
+};
@@ -0,0 +1,219 @@
+// src/utils/recordingDocument.js
+import { getMidiNoteName, getMidiNoteNumber } from './midiUtils';
+import { getEventNoteNumber, isNoteOnEvent } from './recordingNotes';
+
+/**
+ * Recording Document
+ *
+ * The versioned JSON format used to save recordings. A document holds the
+ * recorder events with everything the recorder knows about them (channel,
+ * source, controller values, raw note), metadata about the recording, and named
+ * markers and regions on its timeline. Times are in milliseconds from the start
+ * of the recording.
+ *
+ * Version history:
+ *   1 - { startTime, stopTime, duration, events: [{ type, note, velocity, time }] } (no version field)
+ *   2 - Adds format, version, metadata, markers, regions and full event data
+ */
+
+export const RECORDING_FORMAT = 'react-piano-keyboard/recording';
+export const RECORDING_SCHEMA_VERSION = 2;
+
+const EVENT_TYPES = [
+  'noteon',
+  'noteoff',
+  'controlchange',
+  'pitchbend',
+  'channelaftertouch',
+  'keyaftertouch',
+  'programchange',
+];
+
+const isTime = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+/**
+ * Find the lowest and highest note played in a list of events
+ * @param {Array} events - Recorder events
+ * @returns {Object|null} { lowest, highest } note names, or null without notes
+ */
+const getKeyRange = events => {
+  const numbers = events.filter(isNoteOnEvent).map(getEventNoteNumber);
+  if (numbers.length === 0) return null;
+
+  return {
+    lowest: getMidiNoteName(Math.min(...numbers)),
+    highest: getMidiNoteName(Math.max(...numbers)),
+  };
+};
+
+/**
+ * Convert a recorder event into its stored form
+ * @param {Object} event - Recorder event
+ * @returns {Object} Stored event; the timestamp is dropped and rawNote reduced to plain data
+ */
+const serializeEvent = ({ recordTime, timestamp: _timestamp, rawNote, ...fields }) => ({
+  ...fields,
+  time: recordTime,
+  ...(rawNote && {
+    rawNote: {
+      number: rawNote.number,
+      ...(rawNote.identifier && { identifier: rawNote.identifier }),
+    },
+  }),
+});
+
+/**
+ * Build a recording document from recorder events
+ * @param {Array} events - Recorder events with recordTime
+ * @param {Object} options - Document contents
+ * @param {Object} options.metadata - { title, tempo, instrument, createdAt }; keyRange is computed
+ * @param {Array} options.markers - Markers as { id, name, time }
+ * @param {Array} options.regions - Regions as { id, name, start, end }
+ * @param {number} options.startTime - Recording start timestamp
+ * @param {number} options.stopTime - Recording stop timestamp
+ * @returns {Object} Recording document
+ */
+export const createRecordingDocument = (
+  events,
+  { metadata = {}, markers = [], regions = [], startTime = null, stopTime = null } = {}
+) => ({
+  format: RECORDING_FORMAT,
+  version: RECORDING_SCHEMA_VERSION,
+  metadata: {
+    title: metadata.title || null,
+    tempo: metadata.tempo || null,
+    instrument: metadata.instrument || null,
+    keyRange: getKeyRange(events),
+    createdAt: metadata.createdAt || new Date().toISOString(),
+  },
+  startTime,
+  stopTime,
+  duration: events.length > 0 ? Math.max(...events.map(event => event.recordTime)) : 0,
+  markers: markers.map(({ id, name, time }) => ({ id, name, time })),
+  regions: regions.map(({ id, name, start, end }) => ({ id, name, start, end })),
+  events: events.map(serializeEvent),
+});
+
+/**
+ * Upgrade a version 1 export (no version field)
+ * @param {Object} data - Version 1 data
+ * @returns {Object} Version 2 document
+ */
+const migrateFromVersion1 = data => {
+  const events = (data.events || []).map(event => ({
+    type: event.type,
+    note: event.note,
+    velocity: event.velocity,
+    recordTime: event.time,
+    rawNote: { number: getMidiNoteNumber(event.note) },
+  }));
+
+  return createRecordingDocument(events, {
+    metadata: {
+      createdAt: data.startTime ? new Date(data.startTime).toISOString() : null,
+    },
+    startTime: data.startTime || null,
+    stopTime: data.stopTime || null,
+  });
+};
+
+// Upgrade steps, keyed by the version they upgrade from
+const MIGRATIONS = {
+  1: migrateFromVersion1,
+};
+
+/**
+ * Bring saved recording data up to the current schema version
+ * @param {Object} data - Parsed JSON of any known version
+ * @returns {Object} Document at RECORDING_SCHEMA_VERSION
+ * @throws {Error} If the data comes from a newer, unknown version
+ */
+export const migrateRecordingDocument = data => {
+  let document = data;
+  let version = data.version || 1;
+
+  if (version > RECORDING_SCHEMA_VERSION) {
+    throw new Error(`Unsupported recording version: ${version}`);
+  }
+
+  while (version < RECORDING_SCHEMA_VERSION) {
+    document = MIGRATIONS[version](document);
+    version = document.version;
+  }
+
+  return document;
+};
+
+/**
+ * Check a recording document against the current schema
+ * @param {Object} document - Recording document
+ * @returns {Array<string>} Problems found; empty when the document is valid
+ */
+export const validateRecordingDocument = document => {
+  const errors = [];
+
+  if (!document || typeof document !== 'object') {
+    return ['Recording is not an object'];
+  }
+  if (document.version !== RECORDING_SCHEMA_VERSION) {
+    errors.push(`Expected version ${RECORDING_SCHEMA_VERSION}, got ${document.version}`);
+  }
+  if (!document.metadata || typeof document.metadata !== 'object') {
+    errors.push('Missing metadata');
+  } else if (document.metadata.tempo !== null && !(document.metadata.tempo > 0)) {
+    errors.push(`Invalid tempo: ${document.metadata.tempo}`);
+  }
+  if (!Array.isArray(document.events)) {
+    errors.push('Missing events');
+    return errors;
+  }
+
+  document.events.forEach((event, index) => {
+    if (!EVENT_TYPES.includes(event.type)) {
+      errors.push(`Event ${index}: unknown type ${event.type}`);
+    }
+    if (!isTime(event.time)) {
+      errors.push(`Event ${index}: invalid time ${event.time}`);
+    }
+    if (event.type === 'noteon' || event.type === 'noteoff') {
+      if (getEventNoteNumber(event) === null) {
+        errors.push(`Event ${index}: invalid note ${event.note}`);
+      }
+      if (event.velocity !== undefined && !(event.velocity >= 0 && event.velocity <= 1)) {
+        errors.push(`Event ${index}: velocity ${event.velocity} is outside 0-1`);
+      }
+    }
+  });
+
+  (document.markers || []).forEach((marker, index) => {
+    if (typeof marker.name !== 'string' || !isTime(marker.time)) {
+      errors.push(`Marker ${index}: needs a name and a time`);
+    }
+  });
+
+  (document.regions || []).forEach((region, index) => {
+    if (
+      typeof region.name !== 'string' ||
+      !isTime(region.start) ||
+      !isTime(region.end) ||
+      region.end < region.start
+    ) {
+      errors.push(`Region ${index}: needs a name and a start before its end`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Convert the events of a document back into recorder events
+ * @param {Object} document - Recording document
+ * @param {number} startTime - Timestamp to base event timestamps on
+ * @returns {Array} Recorder events with recordTime and timestamp
+ */
+export const documentToEvents = (document, startTime) =>
+  document.events.map(({ time, ...fields }) => ({
+    ...fields,
+    recordTime: time,
+    timestamp: startTime + time,
+  }));
@@ -0,0 +1,304 @@
+// src/utils/recordingLibrary.js
+import { migrateRecordingDocument, validateRecordingDocument } from './recordingDocument';
+import { createMemoryStore, isIndexedDBAvailable, openIndexedDBStore } from './recordingStores';
+
+/**
+ * Recording Library
+ *
+ * Saves recordings from createMidiRecorder so they survive a page reload. Recordings
+ * are stored as recording documents (see recordingDocument) in IndexedDB, with an
+ * in-memory fallback where IndexedDB is not available. Every method returns a
+ * promise; failures are logged and reported as null or false.
+ */
+
+const DEFAULT_DATABASE_NAME = 'piano-recordings';
+
+/**
+ * Create a unique id for a new recording
+ * @returns {string} Recording id
+ */
+const createRecordingId = () =>
+  `recording-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Get the size of a value once serialized
+ * @param {Object} value - Value to measure
+ * @returns {number} Size in bytes
+ */
+const getSerializedSize = value => new TextEncoder().encode(JSON.stringify(value)).length;
+
+/**
+ * Check whether an error means the browser ran out of storage
+ * @param {Error} error - Error from a storage operation
+ * @returns {boolean} True for quota errors
+ */
+const isQuotaError = error =>
+  Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+
+/**
+ * Strip the recording data from a stored entry
+ * @param {Object} entry - Stored entry
+ * @returns {Object} Summary for listings
+ */
+const toSummary = ({ document: _document, ...summary }) => summary;
+
+/**
+ * Read a recording from a recorder, a recording document or its JSON
+ * @param {Object|string} recording - Recorder, recording document or JSON string
+ * @returns {Object} Recording document at the current version
+ */
+const resolveDocument = recording => {
+  if (typeof recording?.exportToJSON === 'function') {
+    return JSON.parse(recording.exportToJSON());
+  }
+  const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+  return migrateRecordingDocument(data);
+};
+
+/**
+ * Creates a persistent recording library
+ * @param {Object} options - Library options
+ * @param {string} options.storage - 'indexeddb', 'memory' or 'auto' (default: 'auto', IndexedDB when available)
+ * @param {string} options.databaseName - IndexedDB database name (default: 'piano-recordings')
+ * @param {Function} options.onQuotaExceeded - Called with { size, usage, quota } when a recording does not fit
+ * @returns {Object} Recording library
+ */
+export const createRecordingLibrary = ({
+  storage = 'auto',
+  databaseName = DEFAULT_DATABASE_NAME,
+  onQuotaExceeded = null,
+} = {}) => {
+  let storePromise = null;
+
+  /**
+   * Open the backing store on first use
+   * @returns {Promise<Object>} Store
+   */
+  const getStore = () => {
+    if (!storePromise) {
+      const useIndexedDB = storage !== 'memory' && isIndexedDBAvailable();
+      if (storage === 'indexeddb' && !useIndexedDB) {
+        console.error('IndexedDB is not available, keeping recordings in memory');
+      }
+
+      storePromise = useIndexedDB
+        ? openIndexedDBStore(databaseName).catch(error => {
+            console.error('Error opening recording library, keeping recordings in memory:', error);
+            return createMemoryStore();
+          })
+        : Promise.resolve(createMemoryStore());
+    }
+    return storePromise;
+  };
+
+  /**
+   * Get how much storage is used and available
+   * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser does not tell
+   */
+  const getStorageEstimate = async () => {
+    try {
+      if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      console.error('Error estimating storage:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Ask the browser not to evict the library when storage runs low
+   * @returns {Promise<boolean>} True if storage is persistent
+   */
+  const requestPersistence = async () => {
+    try {
+      if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+      return await navigator.storage.persist();
+    } catch (error) {
+      console.error('Error requesting persistent storage:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Report a recording that does not fit in the available storage
+   * @param {number} size - Size of the recording in bytes
+   * @param {Object|null} estimate - Storage estimate, if known
+   */
+  const reportQuotaExceeded = async (size, estimate) => {
+    console.error('Not enough storage to save recording');
+    if (onQuotaExceeded) {
+      onQuotaExceeded({ size, ...(estimate || (await getStorageEstimate())) });
+    }
+  };
+
+  /**
+   * Write an entry, reporting quota problems
+   * @param {Object} entry - Entry to store
+   * @returns {Promise<Object|null>} Stored entry, or null on failure
+   */
+  const writeEntry = async entry => {
+    const store = await getStore();
+    const stored = { ...entry, size: getSerializedSize(entry.document) };
+
+    const estimate = store.type === 'indexeddb' ? await getStorageEstimate() : null;
+    if (estimate && estimate.quota && estimate.usage + stored.size > estimate.quota) {
+      await reportQuotaExceeded(stored.size, estimate);
+      return null;
+    }
+
+    try {
+      await store.put(stored);
+      return stored;
+    } catch (error) {
+      if (isQuotaError(error)) {
+        await reportQuotaExceeded(stored.size, estimate);
+      } else {
+        console.error('Error saving recording:', error);
+      }
+      return null;
+    }
+  };
+
+  /**
+   * Read an entry
+   * @param {string} id - Recording id
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  const readEntry = async id => {
+    try {
+      const store = await getStore();
+      return await store.get(id);
+    } catch (error) {
+      console.error('Error reading recording:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Change an entry and store it again
+   * @param {string} id - Recording id
+   * @param {Function} update - Receives the entry and returns the changed fields
+   * @returns {Promise<Object|null>} Summary of the updated recording, or null on failure
+   */
+  const updateEntry = async (id, update) => {
+    const entry = await readEntry(id);
+    if (!entry) return null;
+
+    const stored = await writeEntry({
+      ...entry,
+      ...update(entry),
+      updatedAt: new Date().toISOString(),
+    });
+    return stored && toSummary(stored);
+  };
+
+  /**
+   * Save a recording as a new library entry
+   * @param {Object|string} recording - Recorder (saves its current take), recording document or JSON string
+   * @param {Object} options - Entry details
+   * @param {string} options.title - Title (default: the recording's title)
+   * @param {Array<string>} options.tags - Tags
+   * @returns {Promise<Object|null>} Summary of the saved recording, or null on failure
+   */
+  const saveRecording = async (recording, { title = null, tags = [] } = {}) => {
+    let document;
+    try {
+      document = resolveDocument(recording);
+    } catch (error) {
+      console.error('Error reading recording:', error);
+      return null;
+    }
+
+    const errors = validateRecordingDocument(document);
+    if (errors.length > 0) {
+      console.error('Invalid recording:', errors);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: createRecordingId(),
+      title: title || document.metadata.title || 'Untitled recording',
+      tags: [...new Set(tags)],
+      createdAt: now,
+      updatedAt: now,
+      duration: document.duration,
+      eventCount: document.events.length,
+      document,
+    };
+
+    const stored = await writeEntry(entry);
+    return stored && toSummary(stored);
+  };
+
+  /**
+   * List saved recordings
+   * @param {Object} options - Filter options
+   * @param {string} options.tag - Only list recordings with this tag
+   * @returns {Promise<Array>} Summaries ({ id, title, tags, createdAt, updatedAt, duration, eventCount, size }), newest first
+   */
+  const listRecordings = async ({ tag = null } = {}) => {
+    try {
+      const store = await getStore();
+      const entries = await store.getAll();
+      return entries
+        .filter(entry => !tag || entry.tags.includes(tag))
+        .map(toSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+      console.error('Error listing recordings:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Load a saved recording
+   * @param {string} id - Recording id
+   * @param {Object} recorder - Recorder to import the recording into as a new take (optional)
+   * @returns {Promise<Object|null>} Recording document, or null if not found or the import failed
+   */
+  const loadRecording = async (id, recorder = null) => {
+    const entry = await readEntry(id);
+    if (!entry) return null;
+
+    const document = {
+      ...entry.document,
+      metadata: { ...entry.document.metadata, title: entry.title },
+    };
+    if (recorder && !recorder.importFromJSON(JSON.stringify(document))) return null;
+
+    return document;
+  };
+
+  /**
+   * Delete a saved recording
+   * @param {string} id - Recording id
+   * @returns {Promise<boolean>} Success indicator
+   */
+  const deleteRecording = async id => {
+    try {
+      const store = await getStore();
+      await store.delete(id);
+      return true;
+    } catch (error) {
+      console.error('Error deleting recording:', error);
+      return false;
+    }
+  };
+
+  return {
+    saveRecording,
+    listRecordings,
+    loadRecording,
+    deleteRecording,
+    renameRecording: (id, title) => updateEntry(id, () => ({ title })),
+    addTag: (id, tag) => updateEntry(id, entry => ({ tags: [...new Set([...entry.tags, tag])] })),
+    removeTag: (id, tag) => updateEntry(id, entry => ({ tags: entry.tags.filter(t => t !== tag) })),
+    getStorageEstimate,
+    requestPersistence,
+    getStorageType: async () => (await getStore()).type,
+  };
+};
+
+export default createRecordingLibrary;
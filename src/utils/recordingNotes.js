@@ -0,0 +1,335 @@
+// src/utils/recordingNotes.js
+import { getMidiNoteName, getMidiNoteNumber } from './midiUtils';
+
+/**
+ * Recording Note Model
+ *
+ * Converts between the recorder's raw noteon/noteoff events and a note list
+ * ({ id, midi, note, start, duration, velocity }), and provides editing
+ * operations on that list. All operations return new arrays and never modify
+ * their input. Times are in milliseconds from the start of the recording.
+ */
+
+// Range of the piano keys, which the note names cover (A0 to C8); edits keep notes inside it
+const LOWEST_NOTE = 21;
+const HIGHEST_NOTE = 108;
+
+/**
+ * Get the note number of a note event
+ * @param {Object} event - Recorder event
+ * @returns {number|null} MIDI note number
+ */
+export const getEventNoteNumber = event =>
+  event.rawNote?.number !== undefined ? event.rawNote.number : getMidiNoteNumber(event.note);
+
+/**
+ * Check whether an event starts a note
+ * @param {Object} event - Recorder event
+ * @returns {boolean} True for note-on events with a velocity
+ */
+export const isNoteOnEvent = event => event.type === 'noteon' && event.velocity > 0;
+
+/**
+ * Check whether an event ends a note (note-off or note-on with velocity 0)
+ * @param {Object} event - Recorder event
+ * @returns {boolean} True for note-off events
+ */
+export const isNoteOffEvent = event =>
+  event.type === 'noteoff' || (event.type === 'noteon' && event.velocity === 0);
+
+/**
+ * Pair each note-on with the next note-off of the same note
+ * @param {Array} events - Recorder events in time order
+ * @returns {Object} { pairs: [[onIndex, offIndex]], unreleased: [onIndex] }
+ */
+export const pairNoteEvents = events => {
+  const openNotes = new Map();
+  const pairs = [];
+
+  events.forEach((event, index) => {
+    const noteNumber = getEventNoteNumber(event);
+    if (isNoteOnEvent(event)) {
+      if (!openNotes.has(noteNumber)) openNotes.set(noteNumber, []);
+      openNotes.get(noteNumber).push(index);
+    } else if (isNoteOffEvent(event) && openNotes.get(noteNumber)?.length) {
+      pairs.push([openNotes.get(noteNumber).shift(), index]);
+    }
+  });
+
+  const unreleased = [...openNotes.values()].flat().sort((a, b) => a - b);
+  return { pairs, unreleased };
+};
+
+/**
+ * Sort notes by start time and pitch, and number them
+ * @param {Array} notes - Notes to sort
+ * @returns {Array} Sorted notes with sequential ids
+ */
+const normalizeNotes = notes =>
+  [...notes]
+    .sort((a, b) => a.start - b.start || a.midi - b.midi)
+    .map((note, index) => ({ ...note, id: index }));
+
+/**
+ * Fold recorder events into a note list
+ * @param {Array} events - Recorder events with recordTime
+ * @returns {Array} Notes sorted by start time; ids are positions in this list
+ */
+export const eventsToNotes = events => {
+  const sortedEvents = [...events].sort((a, b) => a.recordTime - b.recordTime);
+  const { pairs, unreleased } = pairNoteEvents(sortedEvents);
+  const endTime = sortedEvents.length > 0 ? sortedEvents[sortedEvents.length - 1].recordTime : 0;
+
+  const createNote = (onEvent, offTime, offEvent = null) => {
+    const midi = getEventNoteNumber(onEvent);
+    return {
+      midi,
+      note: onEvent.note || getMidiNoteName(midi),
+      start: onEvent.recordTime,
+      duration: Math.max(0, offTime - onEvent.recordTime),
+      velocity: onEvent.velocity,
+      release: offEvent?.release,
+      channel: onEvent.channel,
+    };
+  };
+
+  const notes = [
+    ...pairs.map(([onIndex, offIndex]) =>
+      createNote(sortedEvents[onIndex], sortedEvents[offIndex].recordTime, sortedEvents[offIndex])
+    ),
+    // Notes still held when the recording stopped last until its end
+    ...unreleased.map(onIndex => createNote(sortedEvents[onIndex], endTime)),
+  ];
+
+  return normalizeNotes(notes);
+};
+
+/**
+ * Convert a note list back into recorder events
+ * @param {Array} notes - Notes ({ midi, start, duration, velocity })
+ * @param {Object} options - Conversion options
+ * @param {Array} options.otherEvents - Non-note events (e.g. sustain pedal) to merge in
+ * @param {number} options.startTime - Recording start timestamp, used to fill event timestamps
+ * @returns {Array} Recorder events sorted by time, note-offs before note-ons at equal times
+ */
+export const notesToEvents = (notes, { otherEvents = [], startTime = null } = {}) => {
+  const noteEvents = notes.flatMap(note => {
+    const noteName = getMidiNoteName(note.midi);
+    const shared = {
+      note: noteName,
+      rawNote: { number: note.midi },
+      ...(note.channel !== undefined && { channel: note.channel }),
+    };
+
+    return [
+      { ...shared, type: 'noteon', velocity: note.velocity, recordTime: Math.round(note.start) },
+      {
+        ...shared,
+        type: 'noteoff',
+        ...(note.release !== undefined && { release: note.release }),
+        // Keep note-offs after their note-on, they sort first at equal times
+        recordTime: Math.max(Math.round(note.start) + 1, Math.round(note.start + note.duration)),
+      },
+    ];
+  });
+
+  const order = event => (isNoteOffEvent(event) ? 0 : isNoteOnEvent(event) ? 2 : 1);
+
+  return [...noteEvents, ...otherEvents]
+    .sort((a, b) => a.recordTime - b.recordTime || order(a) - order(b))
+    .map(event =>
+      startTime !== null ? { ...event, timestamp: startTime + event.recordTime } : event
+    );
+};
+
+/**
+ * Keep only the part of a recording between two times and move it to the start
+ * @param {Array} notes - Notes
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @returns {Array} Trimmed notes; notes crossing the range edges are clipped
+ */
+export const trimNotes = (notes, start, end) =>
+  normalizeNotes(
+    notes
+      .filter(note => note.start < end && note.start + note.duration > start)
+      .map(note => {
+        const noteStart = Math.max(note.start, start);
+        const noteEnd = Math.min(note.start + note.duration, end);
+        return { ...note, start: noteStart - start, duration: noteEnd - noteStart };
+      })
+  );
+
+/**
+ * Remove a time range from a recording and close the gap
+ * @param {Array} notes - Notes
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @returns {Array} Notes with the range removed; notes crossing the range are shortened
+ */
+export const cutNotes = (notes, start, end) => {
+  const cutLength = end - start;
+  const mapTime = time => (time <= start ? time : time >= end ? time - cutLength : start);
+
+  return normalizeNotes(
+    notes
+      // Drop notes that are entirely inside the removed range
+      .filter(note => note.start < start || note.start + note.duration > end)
+      .map(note => {
+        const noteStart = mapTime(note.start);
+        const noteEnd = mapTime(note.start + note.duration);
+        return { ...note, start: noteStart, duration: noteEnd - noteStart };
+      })
+  );
+};
+
+/**
+ * Apply the time mapping of trimNotes to non-note events
+ * @param {Array} events - Recorder events
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @returns {Array} Events inside the range, moved to the start
+ */
+export const trimEvents = (events, start, end) =>
+  events
+    .filter(event => event.recordTime >= start && event.recordTime <= end)
+    .map(event => ({ ...event, recordTime: event.recordTime - start }));
+
+/**
+ * Apply the time mapping of cutNotes to non-note events
+ * @param {Array} events - Recorder events
+ * @param {number} start - Range start in ms
+ * @param {number} end - Range end in ms
+ * @returns {Array} Events outside the range, with later events moved back
+ */
+export const cutEvents = (events, start, end) =>
+  events
+    .filter(event => event.recordTime < start || event.recordTime >= end)
+    .map(event =>
+      event.recordTime >= end ? { ...event, recordTime: event.recordTime - (end - start) } : event
+    );
+
+/**
+ * Replace the notes inside a time window with other notes (punch-in/punch-out)
+ * @param {Array} notes - Existing notes
+ * @param {Array} newNotes - Notes recorded for the window
+ * @param {number} start - Window start (punch-in) in ms
+ * @param {number} end - Window end (punch-out) in ms
+ * @returns {Array} Notes with the window replaced; existing notes that run into the
+ * window are cut off at its start, new notes are cut off at its end
+ */
+export const replaceNotesInRange = (notes, newNotes, start, end) =>
+  normalizeNotes([
+    ...notes
+      .filter(note => note.start < start || note.start >= end)
+      .map(note =>
+        note.start < start && note.start + note.duration > start
+          ? { ...note, duration: start - note.start }
+          : note
+      ),
+    ...newNotes
+      .filter(note => note.start >= start && note.start < end)
+      .map(note => ({ ...note, duration: Math.min(note.duration, end - note.start) })),
+  ]);
+
+/**
+ * Replace the non-note events inside a time window with other events
+ * @param {Array} events - Existing recorder events
+ * @param {Array} newEvents - Events recorded for the window
+ * @param {number} start - Window start in ms
+ * @param {number} end - Window end in ms
+ * @returns {Array} Events with the window replaced
+ */
+export const replaceEventsInRange = (events, newEvents, start, end) => {
+  const inRange = event => event.recordTime >= start && event.recordTime < end;
+  return [...events.filter(event => !inRange(event)), ...newEvents.filter(inRange)];
+};
+
+/**
+ * Transpose notes by a number of semitones
+ * @param {Array} notes - Notes
+ * @param {number} semitones - Semitones to move (negative moves down)
+ * @param {Array<number>} ids - Only transpose these note ids (default: all notes)
+ * @returns {Array} Transposed notes; notes that would leave the piano range (A0-C8) are kept in place
+ */
+export const transposeNotes = (notes, semitones, ids = null) =>
+  normalizeNotes(
+    notes.map(note => {
+      if (ids && !ids.includes(note.id)) return note;
+      const midi = note.midi + semitones;
+      if (midi < LOWEST_NOTE || midi > HIGHEST_NOTE) return note;
+      return { ...note, midi, note: getMidiNoteName(midi) };
+    })
+  );
+
+const clampVelocity = velocity => Math.max(0.01, Math.min(1, velocity));
+
+/**
+ * Multiply note velocities by a factor
+ * @param {Array} notes - Notes
+ * @param {number} factor - Velocity multiplier
+ * @returns {Array} Notes with scaled velocities (clamped to 0-1)
+ */
+export const scaleVelocities = (notes, factor) =>
+  notes.map(note => ({ ...note, velocity: clampVelocity(note.velocity * factor) }));
+
+/**
+ * Even out note velocities by pulling them towards a target
+ * @param {Array} notes - Notes
+ * @param {number} amount - 0 (no change) to 1 (every note at the target)
+ * @param {number} target - Velocity to compress towards (default: average velocity)
+ * @returns {Array} Notes with compressed velocities
+ */
+export const compressVelocities = (notes, amount = 0.5, target = null) => {
+  if (notes.length === 0) return [];
+
+  const center =
+    target !== null ? target : notes.reduce((sum, note) => sum + note.velocity, 0) / notes.length;
+  const strength = Math.max(0, Math.min(1, amount));
+
+  return notes.map(note => ({
+    ...note,
+    velocity: clampVelocity(note.velocity + (center - note.velocity) * strength),
+  }));
+};
+
+/**
+ * Remove a note
+ * @param {Array} notes - Notes
+ * @param {number} id - Id of the note to remove
+ * @returns {Array} Notes without the given note
+ */
+export const deleteNote = (notes, id) => normalizeNotes(notes.filter(note => note.id !== id));
+
+/**
+ * Move a note in time and/or pitch
+ * @param {Array} notes - Notes
+ * @param {number} id - Id of the note to move
+ * @param {Object} changes - Changes to apply
+ * @param {number} changes.timeDelta - Milliseconds to move by (default: 0)
+ * @param {number} changes.pitchDelta - Semitones to move by, stopping at A0 and C8 (default: 0)
+ * @returns {Array} Notes with the given note moved
+ */
+export const moveNote = (notes, id, { timeDelta = 0, pitchDelta = 0 } = {}) =>
+  normalizeNotes(
+    notes.map(note => {
+      if (note.id !== id) return note;
+      const midi = Math.max(LOWEST_NOTE, Math.min(HIGHEST_NOTE, note.midi + pitchDelta));
+      return {
+        ...note,
+        midi,
+        note: getMidiNoteName(midi),
+        start: Math.max(0, note.start + timeDelta),
+      };
+    })
+  );
+
+/**
+ * Merge two note lists
+ * @param {Array} notes - Notes
+ * @param {Array} otherNotes - Notes to add
+ * @param {number} offset - Time in ms at which the other notes start (default: 0)
+ * @returns {Array} Combined notes
+ */
+export const mergeNotes = (notes, otherNotes, offset = 0) =>
+  normalizeNotes([...notes, ...otherNotes.map(note => ({ ...note, start: note.start + offset }))]);
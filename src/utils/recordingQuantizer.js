@@ -0,0 +1,136 @@
+// src/utils/recordingQuantizer.js
+import { pairNoteEvents } from './recordingNotes';
+
+/**
+ * Recording Quantizer
+ *
+ * Snaps the timing of recorded note events to a rhythmic grid. Works on the
+ * recorder's event format and never modifies the events it is given.
+ */
+
+// Grid values as fractions of a whole note
+export const QUANTIZE_GRIDS = {
+  '1/4': 1 / 4,
+  '1/8': 1 / 8,
+  '1/16': 1 / 16,
+  '1/32': 1 / 32,
+};
+
+/**
+ * Get the length of one grid step in milliseconds
+ * @param {string} grid - Grid value ('1/4', '1/8', '1/16' or '1/32')
+ * @param {number} tempo - Tempo in BPM (quarter notes per minute)
+ * @param {boolean} triplet - Whether to use a triplet grid
+ * @returns {number} Grid step in ms
+ */
+export const getGridDuration = (grid, tempo, triplet = false) => {
+  const fraction = QUANTIZE_GRIDS[grid];
+  if (!fraction) {
+    throw new Error(`Unsupported quantize grid: ${grid}`);
+  }
+
+  const quarterNoteDuration = 60000 / tempo;
+  const gridDuration = quarterNoteDuration * 4 * fraction;
+  return triplet ? (gridDuration * 2) / 3 : gridDuration;
+};
+
+/**
+ * Creates a function that snaps a time to the nearest (swung) grid line
+ * @param {number} gridDuration - Grid step in ms
+ * @param {number} swing - Swing amount 0-1; delays every second grid line by up to a third of a step
+ * @param {number} offset - Time of the first grid line in ms
+ * @returns {Function} Snap function
+ */
+const createSnapper = (gridDuration, swing, offset) => {
+  const gridTime = index =>
+    offset + index * gridDuration + (index % 2 !== 0 ? (swing * gridDuration) / 3 : 0);
+
+  return time => {
+    const base = Math.floor((time - offset) / gridDuration);
+    let best = gridTime(base);
+    [base - 1, base + 1, base + 2].forEach(index => {
+      const candidate = gridTime(index);
+      if (Math.abs(candidate - time) < Math.abs(best - time)) best = candidate;
+    });
+    return Math.max(0, best);
+  };
+};
+
+/**
+ * Quantize recorded note events to a grid
+ * @param {Array} events - Recorder events with recordTime in milliseconds
+ * @param {Object} options - Quantize options
+ * @param {string} options.grid - Grid value: '1/4', '1/8', '1/16' or '1/32' (default: '1/16')
+ * @param {boolean} options.triplet - Use a triplet grid (default: false)
+ * @param {number} options.tempo - Tempo in BPM used to build the grid (default: 120)
+ * @param {number} options.strength - How far to move towards the grid, 0-1 (default: 1)
+ * @param {number} options.swing - Swing amount, 0 (straight) to 1 (full triplet feel) (default: 0)
+ * @param {string} options.endMode - How note-offs are treated:
+ *   'keep' moves them with their note-on, 'ends' snaps them to the grid,
+ *   'lengths' snaps the note length to whole grid steps (default: 'keep')
+ * @param {number} options.offset - Time of the first grid line in ms (default: 0)
+ * @returns {Array} New array of quantized events sorted by time
+ */
+export const quantizeEvents = (
+  events,
+  {
+    grid = '1/16',
+    triplet = false,
+    tempo = 120,
+    strength = 1,
+    swing = 0,
+    endMode = 'keep',
+    offset = 0,
+  } = {}
+) => {
+  const gridDuration = getGridDuration(grid, tempo, triplet);
+  const snap = createSnapper(gridDuration, Math.max(0, Math.min(1, swing)), offset);
+  const amount = Math.max(0, Math.min(1, strength));
+  const moveTowards = (time, target) => time + (target - time) * amount;
+
+  const quantized = events.map(event => ({ ...event }));
+
+  const { pairs, unreleased } = pairNoteEvents(events);
+
+  // Notes that were never released only have their start quantized
+  unreleased.forEach(index => {
+    const time = events[index].recordTime;
+    quantized[index].recordTime = Math.round(moveTowards(time, snap(time)));
+  });
+
+  pairs.forEach(([onIndex, offIndex]) => {
+    const onTime = events[onIndex].recordTime;
+    const offTime = events[offIndex].recordTime;
+    const newOnTime = moveTowards(onTime, snap(onTime));
+    let newOffTime;
+
+    if (endMode === 'ends') {
+      let target = snap(offTime);
+      if (target <= snap(onTime)) target = snap(onTime) + gridDuration;
+      newOffTime = moveTowards(offTime, target);
+    } else if (endMode === 'lengths') {
+      const length = offTime - onTime;
+      const targetLength = Math.max(1, Math.round(length / gridDuration)) * gridDuration;
+      newOffTime = newOnTime + moveTowards(length, targetLength);
+    } else {
+      newOffTime = newOnTime + (offTime - onTime);
+    }
+
+    quantized[onIndex].recordTime = Math.round(newOnTime);
+    quantized[offIndex].recordTime = Math.max(Math.round(newOnTime) + 1, Math.round(newOffTime));
+  });
+
+  // Keep timestamps consistent with the new record times
+  quantized.forEach((event, index) => {
+    if (event.timestamp !== undefined) {
+      event.timestamp = events[index].timestamp + (event.recordTime - events[index].recordTime);
+    }
+  });
+
+  return quantized
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.recordTime - b.event.recordTime || a.index - b.index)
+    .map(({ event }) => event);
+};
+
+export default quantizeEvents;
@@ -0,0 +1,91 @@
+// src/utils/recordingStores.js
+
+/**
+ * Recording Stores
+ *
+ * Key-value stores used by the recording library. Both stores share the same
+ * promise-based interface: getAll(), get(id), put(entry) and delete(id), with
+ * entries keyed by their `id` property.
+ */
+
+const STORE_NAME = 'recordings';
+const DATABASE_VERSION = 1;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} Resolves with the request result
+ */
+const promisifyRequest = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ * @returns {boolean} True if IndexedDB is available
+ */
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Open an IndexedDB-backed store
+ * @param {string} databaseName - Name of the database
+ * @returns {Promise<Object>} Store
+ */
+export const openIndexedDBStore = async databaseName => {
+  const openRequest = indexedDB.open(databaseName, DATABASE_VERSION);
+  openRequest.onupgradeneeded = () => {
+    const database = openRequest.result;
+    if (!database.objectStoreNames.contains(STORE_NAME)) {
+      database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    }
+  };
+  const database = await promisifyRequest(openRequest);
+
+  const run = (mode, operation) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      // Quota errors surface on the transaction rather than on the request
+      transaction.onabort = () => reject(transaction.error || request.error);
+      transaction.onerror = () => reject(transaction.error || request.error);
+    });
+  };
+
+  return {
+    type: 'indexeddb',
+    getAll: () => run('readonly', store => store.getAll()),
+    get: async id => (await run('readonly', store => store.get(id))) || null,
+    put: entry => run('readwrite', store => store.put(entry)),
+    delete: id => run('readwrite', store => store.delete(id)),
+    close: () => database.close(),
+  };
+};
+
+/**
+ * Create an in-memory store, used where IndexedDB is not available (e.g. tests)
+ *
+ * Entries are copied on the way in and out, like IndexedDB does, so callers
+ * cannot change stored data by accident.
+ *
+ * @returns {Object} Store
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  const copy = value => JSON.parse(JSON.stringify(value));
+
+  return {
+    type: 'memory',
+    getAll: async () => [...entries.values()].map(copy),
+    get: async id => (entries.has(id) ? copy(entries.get(id)) : null),
+    put: async entry => {
+      entries.set(entry.id, copy(entry));
+    },
+    delete: async id => {
+      entries.delete(id);
+    },
+    close: () => {},
+  };
+};
@@ -0,0 +1,344 @@
+// src/utils/rhythmAnalyzer.js
+import { resolvePlayedNote } from './practiceSteps';
+
+/**
+ * Rhythm Analyzer
+ *
+ * Measures note onsets against a beat grid built from a tempo, a meter and a
+ * subdivision. Each onset snaps to the nearest grid point and is reported as
+ * early (negative) or late (positive), in ms and as a fraction of a beat. The
+ * full history is kept, so a performance can be summarized afterwards: the
+ * overall tendency, whether the player rushes or drags over time, and the swing
+ * ratio of the off-beats.
+ *
+ * The grid starts at the downbeat given to start(time), or at the first onset.
+ */
+
+// Slope of the deviation, in ms per beat, beyond which the player is rushing or dragging
+const TREND_THRESHOLD = 2;
+
+// Off-beats used for the swing ratio lie between these fractions of a beat
+const SWING_PHASE_MIN = 0.35;
+const SWING_PHASE_MAX = 0.8;
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const mean = values =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Fit a straight line through points
+ * @param {Array<Array<number>>} points - Points as [x, y]
+ * @returns {number|null} Slope, or null with fewer than two distinct x values
+ */
+const getSlope = points => {
+  const meanX = mean(points.map(([x]) => x));
+  const meanY = mean(points.map(([, y]) => y));
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  return variance > 0 ? covariance / variance : null;
+};
+
+/**
+ * Get the grid position of an onset within its beat
+ * @param {Object} hit - Onset from the analyzer history
+ * @returns {number} Fraction of the beat, e.g. 0.5 for an eighth off-beat
+ */
+const getBeatPhase = hit => Math.round((hit.gridBeats - Math.floor(hit.gridBeats)) * 1000) / 1000;
+
+/**
+ * Get the swing ratio of a set of onsets
+ *
+ * The ratio is the length of the on-beat eighth divided by the off-beat eighth:
+ * 1 for straight eighths, 2 for triplet swing, 3 for dotted-eighth swing.
+ *
+ * @param {Array} hits - Onsets from the analyzer history
+ * @returns {number|null} Swing ratio, or null when no off-beats were played
+ */
+export const getSwingRatio = hits => {
+  const phases = hits
+    .map(hit => hit.elapsedBeats - Math.floor(hit.elapsedBeats))
+    .filter(phase => phase >= SWING_PHASE_MIN && phase < SWING_PHASE_MAX);
+  const phase = mean(phases);
+  return phase === null ? null : Math.round((phase / (1 - phase)) * 100) / 100;
+};
+
+/**
+ * Summarize onsets from the analyzer history
+ * @param {Array} hits - Onsets from the analyzer history
+ * @param {number} tolerance - Mean deviation in ms still counted as on time (default: 30)
+ * @returns {Object} Counts, deviation figures, tendency, trend, swingRatio and per-measure figures
+ */
+export const summarizeRhythm = (hits, tolerance = 30) => {
+  const deviations = hits.map(hit => hit.deviation);
+  const average = mean(deviations);
+  const spread = average === null ? null : Math.sqrt(mean(deviations.map(d => (d - average) ** 2)));
+
+  // Deviation change per beat: negative when notes come earlier and earlier. Each
+  // position in the beat is measured from its own mean deviation, so that a steady
+  // offset such as swung off-beats is not taken for a trend.
+  const phaseDeviations = new Map();
+  hits.forEach(hit => {
+    const phase = getBeatPhase(hit);
+    if (!phaseDeviations.has(phase)) phaseDeviations.set(phase, []);
+    phaseDeviations.get(phase).push(hit.deviation);
+  });
+  const phaseMeans = new Map(
+    [...phaseDeviations].map(([phase, phaseValues]) => [phase, mean(phaseValues)])
+  );
+  const slope =
+    hits.length > 1
+      ? getSlope(
+          hits.map(hit => [hit.elapsedBeats, hit.deviation - phaseMeans.get(getBeatPhase(hit))])
+        )
+      : null;
+
+  const measures = [];
+  hits.forEach(hit => {
+    let entry = measures.find(measure => measure.measure === hit.measure);
+    if (!entry) {
+      entry = { measure: hit.measure, deviations: [] };
+      measures.push(entry);
+    }
+    entry.deviations.push(hit.deviation);
+  });
+
+  return {
+    count: hits.length,
+    early: hits.filter(hit => hit.status === 'early').length,
+    late: hits.filter(hit => hit.status === 'late').length,
+    onTime: hits.filter(hit => hit.status === 'on-time').length,
+    meanDeviation: average === null ? null : Math.round(average),
+    meanAbsoluteDeviation: average === null ? null : Math.round(mean(deviations.map(Math.abs))),
+    standardDeviation: spread === null ? null : Math.round(spread),
+    meanBeatFraction: round(mean(hits.map(hit => hit.beatFraction))),
+    tendency:
+      average === null
+        ? null
+        : average < -tolerance
+          ? 'early'
+          : average > tolerance
+            ? 'late'
+            : 'on-time',
+    trendSlope: round(slope),
+    trend:
+      slope === null
+        ? null
+        : slope < -TREND_THRESHOLD
+          ? 'rushing'
+          : slope > TREND_THRESHOLD
+            ? 'dragging'
+            : 'steady',
+    swingRatio: getSwingRatio(hits),
+    measures: measures
+      .sort((a, b) => a.measure - b.measure)
+      .map(({ measure, deviations: measureDeviations }) => ({
+        measure,
+        count: measureDeviations.length,
+        meanDeviation: Math.round(mean(measureDeviations)),
+        meanAbsoluteDeviation: Math.round(mean(measureDeviations.map(Math.abs))),
+      })),
+  };
+};
+
+/**
+ * Creates a rhythm analyzer
+ * @param {Object} options - Grid options
+ * @param {number} options.tempo - Beats per minute (default: 60)
+ * @param {Array<number>} options.timeSignature - Meter as [beats, beatType] (default: [4, 4])
+ * @param {number} options.subdivision - Grid points per beat: 1 for beats, 2 for eighths in 4/4, 3 for triplets... (default: 1)
+ * @param {number} options.tolerance - Deviation in ms still counted as on time (default: 30)
+ * @param {Function} options.onHit - Called with each measured onset
+ * @returns {Object} Analyzer with methods for feeding onsets and reading the analysis
+ */
+export const createRhythmAnalyzer = ({
+  tempo = 60,
+  timeSignature = [4, 4],
+  subdivision = 1,
+  tolerance = 30,
+  onHit = null,
+} = {}) => {
+  let beatDuration = 60000 / tempo;
+  let beatsPerMeasure = timeSignature[0];
+  let gridDivision = subdivision;
+
+  // The grid is measured from an anchor: a time with its measure and beat
+  let anchor = null;
+  let beatsBeforeAnchor = 0;
+  const history = [];
+
+  /**
+   * Start the grid with a downbeat
+   * @param {number} time - Time of the first downbeat in ms (default: now)
+   */
+  const start = (time = Date.now()) => {
+    anchor = { time, measure: 0, beat: 0 };
+    beatsBeforeAnchor = 0;
+  };
+
+  /**
+   * Move the anchor to the grid point of the last onset, so that the grid stays
+   * continuous when the tempo or meter changes
+   * @param {boolean} toDownbeat - Move on to the next downbeat instead
+   */
+  const reanchor = toDownbeat => {
+    const last = history[history.length - 1];
+    if (!last) return;
+    const beatsToDownbeat = beatsPerMeasure - last.beat;
+    anchor = toDownbeat
+      ? {
+          time: last.gridTime + beatsToDownbeat * beatDuration,
+          measure: last.measure + 1,
+          beat: 0,
+        }
+      : { time: last.gridTime, measure: last.measure, beat: last.beat };
+    beatsBeforeAnchor = last.gridBeats + (toDownbeat ? beatsToDownbeat : 0) - anchor.beat;
+  };
+
+  /**
+   * Measure an onset against the grid
+   * @param {string|number|Object} note - Note name, MIDI number or MIDI message
+   * @param {number} time - Onset time in ms (default: now)
+   * @param {number} velocity - Velocity (0-1)
+   * @returns {Object} Onset as { midi, velocity, time, gridTime, measure, beat, elapsedBeats,
+   *   gridBeats, deviation, beatFraction, status }
+   */
+  const handleNoteOn = (note, time = Date.now(), velocity = null) => {
+    if (!anchor) start(time);
+
+    const exactBeat = anchor.beat + (time - anchor.time) / beatDuration;
+    const gridBeat = Math.round(exactBeat * gridDivision) / gridDivision;
+    const measureOffset = Math.floor(gridBeat / beatsPerMeasure);
+    const gridTime = anchor.time + (gridBeat - anchor.beat) * beatDuration;
+    const deviation = time - gridTime;
+
+    const hit = {
+      midi: resolvePlayedNote(note),
+      velocity,
+      time,
+      gridTime,
+      measure: anchor.measure + measureOffset,
+      beat: gridBeat - measureOffset * beatsPerMeasure,
+      elapsedBeats: beatsBeforeAnchor + exactBeat,
+      gridBeats: beatsBeforeAnchor + gridBeat,
+      deviation: Math.round(deviation),
+      beatFraction: Math.round((deviation / beatDuration) * 1000) / 1000,
+      status: deviation < -tolerance ? 'early' : deviation > tolerance ? 'late' : 'on-time',
+    };
+
+    history.push(hit);
+    if (onHit) onHit(hit);
+    return hit;
+  };
+
+  /**
+   * Measure the note-ons among MIDI messages
+   * @param {Object} message - MIDI message with timestamp (or recordTime) in ms
+   * @returns {Object|null} Measured onset, or null for other messages
+   */
+  const handleMidiMessage = message => {
+    if (message.type !== 'noteon' || message.velocity === 0) return null;
+    const time = message.timestamp ?? message.recordTime ?? Date.now();
+    return handleNoteOn(message, time, message.velocity);
+  };
+
+  /**
+   * Change the tempo; the grid continues from the last onset
+   * @param {number} bpm - Beats per minute
+   */
+  const setTempo = bpm => {
+    if (!(bpm > 0)) {
+      console.error('Invalid tempo:', bpm);
+      return;
+    }
+    reanchor(false);
+    beatDuration = 60000 / bpm;
+  };
+
+  /**
+   * Change the meter; the new meter starts at the downbeat after the last onset
+   * @param {Array<number>} newTimeSignature - Meter as [beats, beatType]
+   */
+  const setTimeSignature = newTimeSignature => {
+    if (!Array.isArray(newTimeSignature) || !(newTimeSignature[0] > 0)) {
+      console.error('Invalid time signature:', newTimeSignature);
+      return;
+    }
+    reanchor(true);
+    beatsPerMeasure = newTimeSignature[0];
+  };
+
+  /**
+   * Change the number of grid points per beat
+   * @param {number} newSubdivision - Grid points per beat
+   */
+  const setSubdivision = newSubdivision => {
+    if (!(newSubdivision >= 1)) {
+      console.error('Invalid subdivision:', newSubdivision);
+      return;
+    }
+    gridDivision = Math.round(newSubdivision);
+  };
+
+  /**
+   * Get the measured onsets
+   * @param {Object} range - Optional range
+   * @param {number} range.last - Only the last N onsets
+   * @returns {Array} Onsets in the order they were played
+   */
+  const getHistory = ({ last = null } = {}) =>
+    last !== null ? history.slice(-last) : [...history];
+
+  /**
+   * Summarize the onsets
+   * @param {Object} range - Optional range
+   * @param {number} range.last - Only the last N onsets, e.g. for a live trend display
+   * @returns {Object} Summary (see summarizeRhythm)
+   */
+  const getSummary = range => summarizeRhythm(getHistory(range), tolerance);
+
+  /**
+   * Forget the onsets and the grid start
+   */
+  const clear = () => {
+    history.length = 0;
+    anchor = null;
+    beatsBeforeAnchor = 0;
+  };
+
+  return {
+    start,
+    handleNoteOn,
+    handleMidiMessage,
+    setTempo,
+    setTimeSignature,
+    setSubdivision,
+    getTempo: () => 60000 / beatDuration,
+    getHistory,
+    getSummary,
+    getSwingRatio: range => getSwingRatio(getHistory(range)),
+    clear,
+  };
+};
+
+/**
+ * Analyze the rhythm of a recording
+ * @param {Array} events - Recorder events with recordTime in milliseconds
+ * @param {Object} options - Grid options (see createRhythmAnalyzer)
+ * @param {number} options.startTime - Record time of the first downbeat (default: the first note)
+ * @returns {Object} { history, summary }
+ */
+export const analyzeRecordingRhythm = (events, { startTime = null, ...options } = {}) => {
+  const analyzer = createRhythmAnalyzer(options);
+  if (startTime !== null) analyzer.start(startTime);
+  events
+    .filter(event => event.type === 'noteon' && event.velocity > 0)
+    .forEach(event => analyzer.handleNoteOn(event, event.recordTime, event.velocity));
+  return { history: analyzer.getHistory(), summary: analyzer.getSummary() };
+};
+
+export default createRhythmAnalyzer;
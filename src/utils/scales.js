@@ -0,0 +1,224 @@
+// src/utils/scales.js
+import { PITCH_CLASS_NAMES } from './chordRecognition';
+import { getMidiNoteNumber } from './midiUtils';
+
+/**
+ * Scales and Modes
+ *
+ * A library of scales as intervals in semitones above the tonic, with the
+ * degree of each note ("1", "b3", "#4"...). For any tonic it gives the pitch
+ * classes, the spelling (each degree on its own letter, so D major has F# and
+ * not Gb) and the MIDI notes in a key range. Scales can be added with
+ * registerScale or passed directly as { name, intervals }.
+ */
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// Degree used for each interval in scales that do not give their own
+const DEFAULT_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', 'b6', '6', 'b7', '7'];
+
+const scales = {
+  major: { name: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  ionian: { name: 'Ionian', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { name: 'Phrygian', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { name: 'Lydian', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  aeolian: { name: 'Aeolian', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  locrian: { name: 'Locrian', intervals: [0, 1, 3, 5, 6, 8, 10] },
+  naturalMinor: { name: 'Natural minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { name: 'Harmonic minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  melodicMinor: { name: 'Melodic minor', intervals: [0, 2, 3, 5, 7, 9, 11] },
+  majorPentatonic: {
+    name: 'Major pentatonic',
+    intervals: [0, 2, 4, 7, 9],
+    degrees: ['1', '2', '3', '5', '6'],
+  },
+  minorPentatonic: {
+    name: 'Minor pentatonic',
+    intervals: [0, 3, 5, 7, 10],
+    degrees: ['1', 'b3', '4', '5', 'b7'],
+  },
+  blues: {
+    name: 'Blues',
+    intervals: [0, 3, 5, 6, 7, 10],
+    degrees: ['1', 'b3', '4', 'b5', '5', 'b7'],
+  },
+  majorBlues: {
+    name: 'Major blues',
+    intervals: [0, 2, 3, 4, 7, 9],
+    degrees: ['1', '2', 'b3', '3', '5', '6'],
+  },
+  wholeTone: {
+    name: 'Whole tone',
+    intervals: [0, 2, 4, 6, 8, 10],
+    degrees: ['1', '2', '3', '#4', '#5', 'b7'],
+  },
+  diminished: {
+    name: 'Diminished (whole-half)',
+    intervals: [0, 2, 3, 5, 6, 8, 9, 11],
+    degrees: ['1', '2', 'b3', '4', 'b5', 'b6', '6', '7'],
+  },
+  halfWholeDiminished: {
+    name: 'Diminished (half-whole)',
+    intervals: [0, 1, 3, 4, 6, 7, 9, 10],
+    degrees: ['1', 'b2', '#2', '3', '#4', '5', '6', 'b7'],
+  },
+  chromatic: {
+    name: 'Chromatic',
+    intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    degrees: ['1', '#1', '2', '#2', '3', '4', '#4', '5', '#5', '6', '#6', '7'],
+  },
+};
+
+/**
+ * Get the ids of the available scales
+ * @returns {Array<string>} Scale ids, e.g. 'major', 'dorian', 'blues'
+ */
+export const getScaleTypes = () => Object.keys(scales);
+
+/**
+ * Add a scale to the library
+ * @param {string} id - Scale id
+ * @param {Object} scale - Scale definition
+ * @param {string} scale.name - Display name
+ * @param {Array<number>} scale.intervals - Semitones above the tonic, starting with 0
+ * @param {Array<string>} scale.degrees - Degree of each note, e.g. ['1', 'b3', '4'] (optional)
+ * @returns {boolean} True if the scale was added
+ */
+export const registerScale = (id, { name = id, intervals, degrees = null } = {}) => {
+  const valid =
+    Array.isArray(intervals) &&
+    intervals[0] === 0 &&
+    intervals.every((interval, index) => index === 0 || interval > intervals[index - 1]) &&
+    intervals[intervals.length - 1] < 12;
+  if (!valid || (degrees && degrees.length !== intervals.length)) {
+    console.error('Invalid scale definition:', id);
+    return false;
+  }
+  scales[id] = { name, intervals: [...intervals], degrees: degrees ? [...degrees] : null };
+  return true;
+};
+
+/**
+ * Get the degrees of a scale
+ * @param {Array<number>} intervals - Semitones above the tonic
+ * @returns {Array<string>} Degrees; seven-note scales use each degree number once
+ */
+const getDegrees = intervals => {
+  if (intervals.length !== 7) return intervals.map(interval => DEFAULT_DEGREES[interval]);
+  return intervals.map((interval, index) => {
+    const difference = interval - LETTER_PITCH_CLASSES[index];
+    const accidental = difference > 0 ? '#'.repeat(difference) : 'b'.repeat(-difference);
+    return `${accidental}${index + 1}`;
+  });
+};
+
+/**
+ * Read a tonic
+ * @param {string|number} tonic - Note name with or without octave ("Eb", "F#3"), MIDI number or pitch class
+ * @returns {Object|null} { pitchClass, letter (index into C-B), name }
+ */
+const parseTonic = tonic => {
+  if (typeof tonic === 'number') {
+    const pitchClass = ((tonic % 12) + 12) % 12;
+    const name = PITCH_CLASS_NAMES[pitchClass];
+    return { pitchClass, letter: LETTERS.indexOf(name[0]), name };
+  }
+  const match = String(tonic).match(/^([A-Ga-g])(#{1,2}|b{1,2}|♯|♭)?-?\d*$/);
+  if (!match) return null;
+  const letter = LETTERS.indexOf(match[1].toUpperCase());
+  const accidental = (match[2] || '').replace('♯', '#').replace('♭', 'b');
+  const shift = accidental.startsWith('#') ? accidental.length : -accidental.length;
+  return {
+    pitchClass: (LETTER_PITCH_CLASSES[letter] + shift + 12) % 12,
+    letter,
+    name: `${LETTERS[letter]}${accidental}`,
+  };
+};
+
+/**
+ * Spell a degree on a tonic
+ * @param {Object} tonic - Parsed tonic
+ * @param {string} degree - Degree, e.g. "b3"
+ * @param {number} interval - Semitones above the tonic
+ * @returns {string} Note name without octave, e.g. "Eb"
+ */
+const spellDegree = (tonic, degree, interval) => {
+  const steps = parseInt(degree.replace(/[#b]/g, ''), 10) - 1;
+  const letter = (tonic.letter + steps) % 7;
+  const target = (tonic.pitchClass + interval) % 12;
+  const difference = ((target - LETTER_PITCH_CLASSES[letter] + 18) % 12) - 6;
+  const accidental = difference > 0 ? '#'.repeat(difference) : 'b'.repeat(-difference);
+  return `${LETTERS[letter]}${accidental}`;
+};
+
+/**
+ * Get a scale on a tonic
+ * @param {string|number} tonic - Tonic as note name ("D", "Eb", "F#4"), MIDI number or pitch class
+ * @param {string|Object|Array<number>} type - Scale id, { name, intervals, degrees } or intervals (default: 'major')
+ * @returns {Object|null} { tonic, tonicName, type, name, intervals, degrees, spelling, pitchClasses },
+ *   or null for an unknown tonic or scale
+ */
+export const getScale = (tonic, type = 'major') => {
+  const parsedTonic = parseTonic(tonic);
+  const definition = Array.isArray(type)
+    ? { name: 'Custom', intervals: type }
+    : typeof type === 'string'
+      ? scales[type]
+      : type;
+
+  if (!parsedTonic || !definition || !Array.isArray(definition.intervals)) {
+    console.error('Unknown scale:', tonic, type);
+    return null;
+  }
+
+  const { intervals } = definition;
+  const degrees = definition.degrees || getDegrees(intervals);
+  return {
+    tonic: parsedTonic.pitchClass,
+    tonicName: parsedTonic.name,
+    type: typeof type === 'string' ? type : null,
+    name: definition.name || 'Custom',
+    intervals: [...intervals],
+    degrees: [...degrees],
+    spelling: intervals.map((interval, index) =>
+      spellDegree(parsedTonic, degrees[index], interval)
+    ),
+    pitchClasses: intervals.map(interval => (parsedTonic.pitchClass + interval) % 12),
+  };
+};
+
+/**
+ * Get the degree of a note in a scale
+ * @param {Object} scale - Scale from getScale
+ * @param {string|number} note - Note name with octave or MIDI number
+ * @returns {string|null} Degree, e.g. "1" for the tonic, or null if the note is not in the scale
+ */
+export const getScaleDegree = (scale, note) => {
+  const midiNote = typeof note === 'number' ? note : getMidiNoteNumber(note);
+  if (midiNote === null) return null;
+  const index = scale.pitchClasses.indexOf(midiNote % 12);
+  return index >= 0 ? scale.degrees[index] : null;
+};
+
+/**
+ * Get the notes of a scale in a range
+ * @param {Object} scale - Scale from getScale
+ * @param {Object} range - Key range
+ * @param {string} range.startNote - Lowest note (default: 'C4')
+ * @param {string} range.endNote - Highest note (default: 'B5')
+ * @returns {Array<number>} MIDI notes of the scale, lowest first
+ */
+export const getScaleNotesInRange = (scale, { startNote = 'C4', endNote = 'B5' } = {}) => {
+  const start = getMidiNoteNumber(startNote);
+  const end = getMidiNoteNumber(endNote);
+  const notes = [];
+  for (let note = start; note !== null && note <= end; note++) {
+    if (scale.pitchClasses.includes(note % 12)) notes.push(note);
+  }
+  return notes;
+};
+
+export default getScale;
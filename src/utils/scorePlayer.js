@@ -0,0 +1,326 @@
+// src/utils/scorePlayer.js
+import * as Tone from 'tone';
+
+import { parseMusicXML } from './musicXmlParser';
+import { createPlaybackScheduler, PLAYBACK_STATE } from './playbackScheduler';
+
+/**
+ * Score Player
+ *
+ * Plays a parsed MusicXML score through the playback scheduler. Sound is scheduled
+ * ahead on the audio clock; key highlighting, per-note and per-measure callbacks
+ * run from timers on the same clock when the note is actually heard. Unlike
+ * animation frames these keep running in background tabs, so no highlight is
+ * left on and no note is skipped; stopping clears every highlight.
+ *
+ * Positions are milliseconds of the score at its written tempo; a tempo override
+ * changes the playback speed, not the positions.
+ */
+
+// Grace notes are played just before the note they lead into
+const GRACE_NOTE_MS = 60;
+
+/**
+ * Turn score notes into note-on, note-off and measure events
+ * @param {Object} score - Parsed score from parseMusicXML
+ * @returns {Array} Events sorted by time, note-offs before note-ons at the same time
+ */
+const buildScoreEvents = score => {
+  const events = [];
+
+  score.timeline.forEach(onset => {
+    onset.graceNotes.forEach((note, index) => {
+      const time = Math.max(0, onset.time - (onset.graceNotes.length - index) * GRACE_NOTE_MS);
+      events.push({ type: 'noteon', time, note });
+      events.push({ type: 'noteoff', time: time + GRACE_NOTE_MS, note });
+    });
+    onset.notes.forEach(note => {
+      events.push({ type: 'noteon', time: note.time, note });
+      events.push({ type: 'noteoff', time: note.time + note.durationMs, note });
+    });
+  });
+
+  score.measures.forEach(measure => {
+    events.push({ type: 'measure', time: measure.time, measure });
+  });
+
+  const order = { noteoff: 0, measure: 1, noteon: 2 };
+  return events
+    .filter(event => event.type === 'measure' || event.note.note)
+    .sort((a, b) => a.time - b.time || order[a.type] - order[b.type]);
+};
+
+/**
+ * Creates a player for a MusicXML score
+ * @param {Object|string|Document} score - Parsed score from parseMusicXML, or MusicXML to parse
+ * @param {Object} options - Player options
+ * @param {Function} options.noteOn - Called as noteOn(note, velocity, time, scoreNote) to sound a note
+ * @param {Function} options.noteOff - Called as noteOff(note, time, scoreNote) to release a note
+ * @param {Function} options.onNoteStart - Called as onNoteStart(note, scoreNote) when a note is heard (e.g. highlightNote)
+ * @param {Function} options.onNoteEnd - Called as onNoteEnd(note, scoreNote) when a note stops (e.g. unhighlightNote)
+ * @param {Function} options.onNote - Called as onNote(scoreNote, time) when each score note is heard
+ * @param {Function} options.onMeasure - Called with the measure when playback reaches it
+ * @param {Function} options.onProgress - Called with the current position in ms while playing
+ * @param {Function} options.onFinish - Called when playback reaches the end
+ * @param {number} options.tempo - Tempo override in quarter notes per minute (default: the score's tempo)
+ * @param {number} options.velocity - Velocity for every note, 0-1 (default: 0.7)
+ * @returns {Object} Player with transport controls
+ */
+export const createScorePlayer = (
+  score,
+  {
+    noteOn = null,
+    noteOff = null,
+    onNoteStart = null,
+    onNoteEnd = null,
+    onNote = null,
+    onMeasure = null,
+    onProgress = null,
+    onFinish = null,
+    tempo = null,
+    velocity = 0.7,
+  } = {}
+) => {
+  const parsedScore = score && score.timeline ? score : parseMusicXML(score);
+  const events = buildScoreEvents(parsedScore);
+  const { measures } = parsedScore;
+  const baseTempo = parsedScore.tempoMap[0].tempo;
+
+  let rate = tempo > 0 ? tempo / baseTempo : 1;
+  let loop = null;
+  let scheduler = null;
+
+  // Sounding notes by name as { note, time }, and notes shown on the keys with their score note
+  const heldNotes = new Map();
+  const shownNotes = new Map();
+
+  // Display callbacks run when their note sounds, by timers on the audio clock that
+  // cannot be dropped like animation frames; those pending at an interrupt are cancelled
+  const pendingTimers = new Set();
+
+  const atSoundTime = (callback, time) => {
+    const context = Tone.getContext();
+    const timer = context.setTimeout(
+      () => {
+        pendingTimers.delete(timer);
+        callback();
+      },
+      Math.max(0, time - context.immediate())
+    );
+    pendingTimers.add(timer);
+  };
+
+  const hideAllNotes = () => {
+    pendingTimers.forEach(timer => Tone.getContext().clearTimeout(timer));
+    pendingTimers.clear();
+    shownNotes.forEach((scoreNote, name) => onNoteEnd && onNoteEnd(name, scoreNote));
+    shownNotes.clear();
+  };
+
+  const releaseHeldNotes = audioTime => {
+    heldNotes.forEach((held, name) => {
+      if (noteOff) noteOff(name, Math.max(audioTime, held.time), held.note);
+    });
+    heldNotes.clear();
+    hideAllNotes();
+  };
+
+  const handleEvent = (event, time) => {
+    if (event.type === 'measure') {
+      if (onMeasure) atSoundTime(() => onMeasure(event.measure), time);
+      return;
+    }
+
+    const name = event.note.note;
+    if (event.type === 'noteon') {
+      // A repeated note cuts off the one still sounding
+      if (heldNotes.has(name) && noteOff) noteOff(name, time, heldNotes.get(name).note);
+      heldNotes.set(name, { note: event.note, time });
+      if (noteOn) noteOn(name, velocity, time, event.note);
+      atSoundTime(() => {
+        shownNotes.set(name, event.note);
+        if (onNoteStart) onNoteStart(name, event.note);
+        if (onNote) onNote(event.note, time);
+      }, time);
+    } else if (heldNotes.get(name)?.note === event.note) {
+      heldNotes.delete(name);
+      if (noteOff) noteOff(name, time, event.note);
+      atSoundTime(() => {
+        shownNotes.delete(name);
+        if (onNoteEnd) onNoteEnd(name, event.note);
+      }, time);
+    }
+  };
+
+  /**
+   * Build the scheduler for the whole score or the loop range
+   * @returns {Object} Playback scheduler
+   */
+  const createScheduler = () => {
+    const start = loop ? loop.start : 0;
+    const end = loop ? loop.end : parsedScore.duration;
+
+    return createPlaybackScheduler({
+      events: events.filter(event =>
+        event.type === 'noteoff' ? event.time <= end : event.time >= start && event.time < end
+      ),
+      duration: end,
+      playbackRate: rate,
+      onEvent: handleEvent,
+      onProgress,
+      onInterrupt: releaseHeldNotes,
+      onFinish: () => {
+        releaseHeldNotes(Tone.getContext().immediate());
+        if (loop) {
+          scheduler.play(loop.start);
+        } else if (onFinish) {
+          onFinish();
+        }
+      },
+    });
+  };
+
+  scheduler = createScheduler();
+
+  /**
+   * Swap in a scheduler for a new loop range, keeping the transport state
+   */
+  const rebuildScheduler = () => {
+    const wasPlaying = scheduler.getState() === PLAYBACK_STATE.PLAYING;
+    const position = scheduler.getPosition();
+    scheduler.stop();
+    scheduler = createScheduler();
+
+    const inLoop = !loop || (position >= loop.start && position < loop.end);
+    const resumePosition = inLoop ? position : loop.start;
+    if (wasPlaying) {
+      scheduler.play(resumePosition);
+    } else {
+      scheduler.seek(resumePosition);
+    }
+  };
+
+  /**
+   * Get the index of the measure at a position
+   * @param {number} position - Position in ms
+   * @returns {number} Measure index (-1 for an empty score)
+   */
+  const getMeasureIndexAt = position => {
+    let index = measures.length > 0 ? 0 : -1;
+    while (index + 1 < measures.length && measures[index + 1].time <= position) index++;
+    return index;
+  };
+
+  /**
+   * Start playback
+   * @param {number} position - Position in ms to start from (default: current position)
+   */
+  const play = (position = scheduler.getPosition()) => {
+    const outsideLoop = loop && (position < loop.start || position >= loop.end);
+    scheduler.play(outsideLoop ? loop.start : position);
+  };
+
+  /**
+   * Jump to the start of a measure
+   * @param {number} index - Measure index
+   */
+  const seekToMeasure = index => {
+    const measure = measures[index];
+    if (!measure) {
+      console.error('Invalid measure index:', index);
+      return;
+    }
+    scheduler.seek(measure.time);
+  };
+
+  /**
+   * Loop a range of measures
+   * @param {number} startMeasure - Index of the first measure in the loop
+   * @param {number} endMeasure - Index of the last measure in the loop (default: startMeasure)
+   */
+  const setLoop = (startMeasure, endMeasure = startMeasure) => {
+    const first = measures[startMeasure];
+    const last = measures[endMeasure];
+    if (!first || !last || endMeasure < startMeasure) {
+      console.error('Invalid loop range:', startMeasure, endMeasure);
+      return;
+    }
+    loop = { startMeasure, endMeasure, start: first.time, end: last.time + last.durationMs };
+    rebuildScheduler();
+  };
+
+  /**
+   * Stop looping; playback continues to the end of the score
+   */
+  const clearLoop = () => {
+    if (!loop) return;
+    loop = null;
+    rebuildScheduler();
+  };
+
+  /**
+   * Change the tempo
+   * @param {number} newTempo - Tempo in quarter notes per minute, or null for the score's tempo
+   */
+  const setTempo = newTempo => {
+    if (newTempo !== null && !(newTempo > 0)) {
+      console.error('Invalid tempo:', newTempo);
+      return;
+    }
+    rate = newTempo ? newTempo / baseTempo : 1;
+    scheduler.setPlaybackRate(rate);
+  };
+
+  return {
+    play,
+    pause: () => scheduler.pause(),
+    resume: () => scheduler.resume(),
+    stop: () => scheduler.stop(),
+    seek: position => scheduler.seek(position),
+    seekToMeasure,
+    setLoop,
+    clearLoop,
+    getLoop: () => (loop ? { startMeasure: loop.startMeasure, endMeasure: loop.endMeasure } : null),
+    setTempo,
+    getTempo: () => baseTempo * rate,
+    getPosition: () => scheduler.getPosition(),
+    getCurrentMeasure: () => getMeasureIndexAt(scheduler.getPosition()),
+    getState: () => scheduler.getState(),
+    getDuration: () => parsedScore.duration,
+    getScore: () => parsedScore,
+  };
+};
+
+/**
+ * Creates a function that plays scores on a piano's audio engine and keys
+ *
+ * The handlers are read from a ref each time a note plays, so a player keeps
+ * working when the component re-renders with new handler functions.
+ *
+ * @param {Object} handlersRef - Ref whose current value holds playNote, stopNote,
+ *   activateNote, deactivateNote, highlightNote and unhighlightNote
+ * @returns {Function} playScore(score, options) that returns a score player;
+ *   options.display is 'active' (keys shown pressed, default) or 'highlight'
+ */
+export const createPlayScoreFunction =
+  handlersRef =>
+  (score, options = {}) => {
+    const { display = 'active', ...playerOptions } = options;
+    const handlers = () => handlersRef.current;
+
+    return createScorePlayer(score, {
+      noteOn: (note, velocity, time) => handlers().playNote(note, velocity, time),
+      noteOff: (note, time) => handlers().stopNote(note, time),
+      onNoteStart: note =>
+        display === 'highlight'
+          ? handlers().highlightNote(note)
+          : handlers().activateNote(note, 'program'),
+      onNoteEnd: note =>
+        display === 'highlight'
+          ? handlers().unhighlightNote(note)
+          : handlers().deactivateNote(note, 'program'),
+      ...playerOptions,
+    });
+  };
+
+export default createScorePlayer;
@@ -0,0 +1,108 @@
+// src/utils/zipReader.js
+
+/**
+ * Zip Reader
+ *
+ * Minimal reader for zip archives such as compressed MusicXML (.mxl) files.
+ * Supports stored and deflated entries; deflated data is inflated with the
+ * browser's built-in DecompressionStream, so no extra library is needed.
+ * ZIP64 and encrypted archives are not supported.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Check whether data starts like a zip archive
+ * @param {Uint8Array|ArrayBuffer} data - File contents
+ * @returns {boolean} True if the data has a zip signature
+ */
+export const isZipData = data => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03;
+};
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+const inflateRaw = async bytes => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Decompression is not supported in this environment');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * List the files in a zip archive
+ * @param {Uint8Array|ArrayBuffer} data - Zip file contents
+ * @returns {Array} Entries as { name, size, read() }, where read() resolves to the file's bytes
+ * @throws {Error} If the data is not a readable zip archive
+ */
+export const readZipEntries = data => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end of central directory record sits at the end, before an optional comment
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Invalid zip file: end of central directory not found');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('Unsupported zip file: ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Invalid zip file: corrupt central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const read = async () => {
+      if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Invalid zip file: missing header for ${name}`);
+      }
+      const dataStart =
+        localOffset +
+        30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === METHOD_STORED) return compressed.slice();
+      if (method === METHOD_DEFLATED) return inflateRaw(compressed);
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    };
+
+    entries.push({ name, size, read });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};